@@ -0,0 +1,151 @@
+/**
+ * Auth Providers for CremaClient live mode
+ *
+ * A provider supplies the credential headers attached to every API request.
+ * Every provider exposes the same interface:
+ *   getHeaders() -> Promise<Object>   Headers to add (empty when there is no credential)
+ *   refresh()    -> Promise<boolean>  Called after a 401; true if the request should be retried
+ *
+ * createAuthProvider() accepts:
+ *   'token'                                        Static bearer token
+ *   { type: 'bearer', token }                      Static bearer token
+ *   { type: 'apiKey', key, header }                API key header (default header: X-API-Key)
+ *   async ({ refresh }) => token                   Token getter, asked again with refresh: true after a 401
+ *   { type: 'token', getToken }                    Same as a token getter
+ *   { getHeaders, refresh }                        Custom provider
+ */
+
+/**
+ * Static bearer token: Authorization: Bearer <token>
+ */
+class BearerAuthProvider {
+    constructor(token) {
+        this.name = 'bearer';
+        this.token = token;
+    }
+
+    async getHeaders() {
+        return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+    }
+
+    async refresh() {
+        return false; // A static token can't be renewed
+    }
+}
+
+/**
+ * Static API key sent in a header
+ */
+class ApiKeyAuthProvider {
+    /**
+     * @param {string} key - API key
+     * @param {string} header - Header name (default: 'X-API-Key')
+     */
+    constructor(key, header = 'X-API-Key') {
+        this.name = 'apiKey';
+        this.key = key;
+        this.header = header;
+    }
+
+    async getHeaders() {
+        return this.key ? { [this.header]: this.key } : {};
+    }
+
+    async refresh() {
+        return false;
+    }
+}
+
+/**
+ * Bearer token from an async getter (e.g. an OAuth client or a token in storage)
+ * The token is cached until a 401 asks for a fresh one.
+ */
+class TokenAuthProvider {
+    /**
+     * @param {Function} getToken - async ({ refresh }) => token | null
+     */
+    constructor(getToken) {
+        this.name = 'token';
+        this.getToken = getToken;
+        this._token = null; // Promise - current token
+        this._refreshing = null; // Promise - shared refresh
+    }
+
+    async getHeaders() {
+        if (!this._token) {
+            this._token = Promise.resolve(this.getToken({ refresh: false }));
+            // Allow a retry after getter failures
+            this._token.catch(() => {
+                this._token = null;
+            });
+        }
+        const token = await this._token;
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * Ask the getter for a new token (concurrent 401s share one refresh)
+     * @returns {Promise<boolean>} true if the token changed
+     */
+    refresh() {
+        if (!this._refreshing) {
+            this._refreshing = (async () => {
+                const previous = this._token ? await this._token.catch(() => null) : null;
+                const token = await this.getToken({ refresh: true });
+                this._token = Promise.resolve(token);
+                return !!token && token !== previous;
+            })().finally(() => {
+                this._refreshing = null;
+            });
+        }
+        return this._refreshing;
+    }
+}
+
+/**
+ * Create an auth provider from a CremaClient `auth` option
+ * @param {string|Function|Object|null} auth - See the module comment
+ * @returns {Object|null} Provider, or null for unauthenticated requests
+ */
+function createAuthProvider(auth) {
+    if (!auth) {
+        return null;
+    }
+    if (typeof auth === 'string') {
+        return new BearerAuthProvider(auth);
+    }
+    if (typeof auth === 'function') {
+        return new TokenAuthProvider(auth);
+    }
+    if (typeof auth !== 'object') {
+        throw new Error(`Invalid auth option: ${auth}`);
+    }
+
+    if (auth.type === 'bearer') {
+        return new BearerAuthProvider(auth.token);
+    }
+    if (auth.type === 'apiKey') {
+        return new ApiKeyAuthProvider(auth.key, auth.header);
+    }
+    if (auth.type === 'token') {
+        if (typeof auth.getToken !== 'function') {
+            throw new Error('Invalid auth option: token provider needs a getToken function');
+        }
+        return new TokenAuthProvider(auth.getToken);
+    }
+    if (typeof auth.getHeaders === 'function') {
+        return auth;
+    }
+
+    throw new Error(`Invalid auth option: unknown type '${auth.type}'. Must be 'bearer', 'apiKey', 'token', or a provider object`);
+}
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BearerAuthProvider,
+        ApiKeyAuthProvider,
+        TokenAuthProvider,
+        createAuthProvider
+    };
+}
@@ -0,0 +1,203 @@
+/**
+ * Cache Storage Backends for CremaClient
+ *
+ * Pluggable storage used by CremaClient to keep loaded snapshots.
+ * Every backend exposes the same async interface:
+ *   get(key) -> entry | null
+ *   set(key, entry)
+ *   delete(key)
+ *   clear()
+ *   entries() -> Array<[key, entry]>
+ *
+ * Entries are plain objects ({ data, timestamp, cached_at, cache_version }) so they
+ * can be structured-cloned into IndexedDB as-is.
+ */
+
+/**
+ * In-memory storage (default) - cleared on every page load
+ */
+class MemoryCacheStorage {
+    constructor() {
+        this.name = 'memory';
+        this._entries = new Map();
+    }
+
+    async get(key) {
+        return this._entries.has(key) ? this._entries.get(key) : null;
+    }
+
+    async set(key, entry) {
+        this._entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this._entries.delete(key);
+    }
+
+    async clear() {
+        this._entries.clear();
+    }
+
+    async entries() {
+        return Array.from(this._entries.entries());
+    }
+}
+
+/**
+ * IndexedDB storage - persists snapshots across reloads and between pages
+ * (index.html and find-data.html share the same database)
+ */
+class IndexedDBCacheStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.dbName - Database name (default: 'kandaq_crema_cache')
+     * @param {string} options.namespace - Key prefix, typically the tenant ID
+     */
+    constructor(options = {}) {
+        this.name = 'indexeddb';
+        this.dbName = options.dbName || 'kandaq_crema_cache';
+        this.storeName = 'entries';
+        this.namespace = options.namespace || 'default';
+        this._dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is usable in this environment
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (or create) the database
+     * @private
+     */
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`IndexedDB '${this.dbName}' is blocked by another tab`));
+            });
+            // Allow a later call to retry if opening failed (e.g. private browsing)
+            this._dbPromise.catch(() => {
+                this._dbPromise = null;
+            });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @private
+     */
+    async _run(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    _key(key) {
+        return `${this.namespace}:${key}`;
+    }
+
+    async get(key) {
+        const entry = await this._run('readonly', store => store.get(this._key(key)));
+        return entry === undefined ? null : entry;
+    }
+
+    async set(key, entry) {
+        await this._run('readwrite', store => store.put(entry, this._key(key)));
+    }
+
+    async delete(key) {
+        await this._run('readwrite', store => store.delete(this._key(key)));
+    }
+
+    /**
+     * Key range covering every entry in this namespace
+     * @private
+     */
+    _range() {
+        const prefix = `${this.namespace}:`;
+        return IDBKeyRange.bound(prefix, prefix + '\uffff');
+    }
+
+    async clear() {
+        // Only clear this namespace - other tenants may share the database
+        await this._run('readwrite', store => store.delete(this._range()));
+    }
+
+    async entries() {
+        const db = await this._open();
+        const prefixLength = `${this.namespace}:`.length;
+        return new Promise((resolve, reject) => {
+            const results = [];
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).openCursor(this._range());
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    results.push([String(cursor.key).slice(prefixLength), cursor.value]);
+                    cursor.continue();
+                }
+            };
+            tx.oncomplete = () => resolve(results);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+/**
+ * Create a storage backend from a CremaClient `storage` option
+ * @param {string|Object} storage - 'memory', 'indexeddb', or an object implementing the storage interface
+ * @param {Object} options - Passed to the backend constructor (e.g. namespace)
+ * @returns {Object} Storage backend
+ */
+function createCacheStorage(storage = 'memory', options = {}) {
+    if (storage && typeof storage === 'object') {
+        const required = ['get', 'set', 'delete', 'clear', 'entries'];
+        const missing = required.filter(method => typeof storage[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Invalid cache storage: missing ${missing.join(', ')}`);
+        }
+        return storage;
+    }
+
+    if (storage === 'indexeddb') {
+        if (IndexedDBCacheStorage.isAvailable()) {
+            return new IndexedDBCacheStorage(options);
+        }
+        console.warn('⚠️ IndexedDB not available, falling back to in-memory cache');
+        return new MemoryCacheStorage();
+    }
+
+    if (storage === 'memory') {
+        return new MemoryCacheStorage();
+    }
+
+    throw new Error(`Invalid cache storage: ${storage}. Must be 'memory', 'indexeddb', or a storage object`);
+}
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MemoryCacheStorage,
+        IndexedDBCacheStorage,
+        createCacheStorage
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Change Poller - visibility-aware polling schedule for CremaClient subscriptions
+ *
+ * Runs an async check on an interval while it has work to do:
+ *   - Checks never overlap (a slow check delays the next one instead of stacking)
+ *   - While the page is hidden, checks run on hiddenInterval (null = paused)
+ *   - When the page becomes visible again, an overdue check runs immediately
+ *   - Failed checks are logged and retried on the next tick
+ */
+
+class ChangePoller {
+    /**
+     * @param {Function} check - async () => void, run on every tick
+     * @param {Object} options
+     * @param {number} options.interval - Time (ms) between checks while visible (default: 60000)
+     * @param {number|null} options.hiddenInterval - Time (ms) between checks while hidden
+     *                                              (default: null = pause while hidden)
+     */
+    constructor(check, options = {}) {
+        this.check = check;
+        this.interval = options.interval ?? 60000; // 1 minute in ms
+        this.hiddenInterval = options.hiddenInterval ?? null;
+
+        this.running = false;
+        this.lastCheck = 0;
+        this._timer = null;
+        this._checking = null; // Promise - check in progress
+        this._onVisibilityChange = () => this._reschedule(true);
+    }
+
+    /**
+     * Start polling (no-op if already running)
+     * The first check runs after one interval.
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.lastCheck = Date.now();
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+        }
+        this._reschedule(false);
+    }
+
+    /**
+     * Stop polling (a check in progress still completes)
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        }
+    }
+
+    /**
+     * Run a check now (shares a check that is already in progress)
+     * @returns {Promise<void>}
+     */
+    poll() {
+        if (!this._checking) {
+            this._checking = (async () => {
+                try {
+                    await this.check();
+                } catch (e) {
+                    console.warn('⚠️ Change check failed:', e.message);
+                } finally {
+                    this.lastCheck = Date.now();
+                    this._checking = null;
+                }
+            })();
+        }
+        return this._checking;
+    }
+
+    static _isHidden() {
+        return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    }
+
+    /**
+     * Schedule the next check for the current visibility state
+     * @private
+     */
+    _reschedule(visibilityChanged) {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (!this.running) {
+            return;
+        }
+
+        const interval = ChangePoller._isHidden() ? this.hiddenInterval : this.interval;
+        if (interval === null) {
+            return; // Paused until the page is visible again
+        }
+
+        const elapsed = Date.now() - this.lastCheck;
+        if (visibilityChanged && elapsed >= interval) {
+            console.log('👀 Page visible again - checking for updates');
+        }
+        this._timer = setTimeout(async () => {
+            await this.poll();
+            this._reschedule(false);
+        }, Math.max(0, interval - elapsed));
+    }
+}
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChangePoller;
+}
@@ -9,10 +9,37 @@ class CremaClient {
     constructor(tenantId, options = {}) {
         this.tenantId = tenantId;
         this.apiUrl = options.apiUrl || 'http://localhost:9010';
-        // Cache directory - use relative path 'data' for subdirectory deployments
-        // The _loadCacheFile method will construct the correct absolute path
+        // Search endpoint for live mode (find-data.html uses /api/tenants/{tenant_id}/find)
+        this.searchEndpoint = options.searchEndpoint || '/api/query';
+        
+        // Request layer for every network call: timeouts, retries with backoff, cancellation
+        const Transport = typeof HttpTransport === 'function'
+            ? HttpTransport
+            : require('./transport.js');
+        this.transport = options.transport || new Transport({
+            timeout: options.timeout,
+            retries: options.retries
+        });
+        
+        // Credentials for live-mode API requests: bearer token, API key header or token getter
+        this.setAuth(options.auth || null);
+        
+        // Cache directory - relative to the app base path ('data' for subdirectory deployments)
         this.cacheDir = options.cacheDir || 'data';
         
+        // Path resolution: one resolver (shared with decrypt.js by default) reads data/manifest.json
+        // Base path comes from options.basePath, the kandaq-base-path meta tag, or the page directory
+        const Resolver = typeof PathResolver === 'function'
+            ? PathResolver
+            : require('./path-resolver.js');
+        if (options.paths) {
+            this.paths = options.paths;
+        } else if (options.basePath || this.cacheDir !== 'data') {
+            this.paths = new Resolver({ basePath: options.basePath, dataDir: this.cacheDir, transport: this.transport });
+        } else {
+            this.paths = Resolver.shared();
+        }
+        
         // Explicit mode: 'cache' or 'live' (not a fallback)
         // Default: 'cache' for static deployment, 'live' for development
         this.mode = options.mode || (options.useCache !== false ? 'cache' : 'live');
@@ -22,19 +49,111 @@ class CremaClient {
         }
         
         this.cacheTTL = options.cacheTTL || 3600000; // 1 hour in ms
-        this._cache = new Map(); // In-memory cache
+        
+        // Tenant calendar: { fiscalYearStartMonth, weekStartDay, timeZone } (see normalizeCalendar in
+        // time-ranges.js). Decides the dates of this_quarter, last_year, ... and fiscal_year_YYYY, and is
+        // sent to the live API with every range. options.fiscalYearStartMonth is still accepted on its own.
+        this.calendar = this._timeRanges().normalizeCalendar({
+            fiscalYearStartMonth: options.fiscalYearStartMonth,
+            ...options.calendar
+        });
+        this.fiscalYearStartMonth = this.calendar.fiscalYearStartMonth;
+        
+        // What to serve when a time range isn't in the snapshot: 'strict' (throw), 'broaden' (a broader
+        // published range) or a map of range id to fallback ids - see time-ranges.js. Shared with
+        // loadDecryptedDashboard() through its fallbackPolicy option.
+        this.fallbackPolicy = options.fallbackPolicy || 'broaden';
+        
+        // Storage backend: 'memory' (default), 'indexeddb' (persists across reloads), or a custom object
+        const storageFactory = typeof createCacheStorage === 'function'
+            ? createCacheStorage
+            : require('./cache-storage.js').createCacheStorage;
+        this.storage = storageFactory(options.storage || 'memory', { namespace: tenantId });
+        this._snapshots = null; // Shared SnapshotManager for dashboard_data.json (created on first use)
+        
+        // Decrypts a single { _encrypted, _data } snapshot node: async (node, snapshot) => value
+        // (decryptSnapshotNode from decrypt.js). Needed for Crema data and offline search in cache mode.
+        this.decryptNode = options.decryptNode || null;
+        this._decryptedCrema = null; // { node, value } - decrypted Crema data for the current snapshot
+        this._searchIndex = null; // { source, index } - local search index over the current Crema data
+        
+        // Change subscriptions (see subscribe): polled on pollInterval while the page is visible
+        this.pollInterval = options.pollInterval || 60000; // 1 minute in ms
+        this.hiddenPollInterval = options.hiddenPollInterval ?? null; // null = pause while hidden
+        this._subscriptions = new Set(); // { topic, timeRange, callback, version }
+        this._poller = null; // ChangePoller (created on first subscribe)
+    }
+    
+    /**
+     * Set the credentials attached to API requests
+     * @param {string|Function|Object|null} auth - Bearer token, { type: 'apiKey', key, header },
+     *                                             async token getter, or a provider (see auth-providers.js)
+     */
+    setAuth(auth) {
+        const authFactory = typeof createAuthProvider === 'function'
+            ? createAuthProvider
+            : require('./auth-providers.js').createAuthProvider;
+        this.auth = authFactory(auth);
+    }
+    
+    /**
+     * Send an API request through the client's transport
+     * Adds the tenant and auth headers and JSON body encoding; a 401 refreshes the credentials
+     * once and retries. Rejects with a NetworkError or AuthError on failure and with an AbortError when
+     * options.signal aborts.
+     * @param {string} path - API path (e.g. '/api/crema') or full URL
+     * @param {Object} options - fetch options plus signal, timeout, retries (see transport.js);
+     *                           a non-string body is sent as JSON
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async request(path, options = {}) {
+        const { body, headers, ...requestOptions } = options;
+        const url = /^[a-z][a-z0-9+.-]*:/i.test(path) ? path : `${this.apiUrl}${path}`;
+        const send = async () => this.transport.json(url, {
+            ...requestOptions,
+            headers: await this._requestHeaders(headers),
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        
+        try {
+            return await send();
+        } catch (e) {
+            // Expired credentials: refresh once and retry with the new ones
+            if (e.status === 401 && typeof this.auth?.refresh === 'function' && await this.auth.refresh()) {
+                console.log('🔑 Credentials refreshed after 401, retrying request');
+                return await send();
+            }
+            throw e;
+        }
+    }
+    
+    /**
+     * Headers for API requests: tenant, content type and credentials
+     * @private
+     */
+    async _requestHeaders(headers = {}) {
+        return {
+            'X-Tenant-ID': this.tenantId,
+            'Content-Type': 'application/json',
+            ...(this.auth ? await this.auth.getHeaders() : {}),
+            ...headers
+        };
     }
     
     /**
      * Get dashboard metrics for a time range
-     * @param {string} timeRange - Time range (e.g., 'this_year', 'this_quarter')
+     * Besides the presets, accepts month_YYYY_MM, quarter_YYYY_Qn, year_YYYY, fiscal_year_YYYY and
+     * { start, end } ranges (see time-ranges.js). In cache mode a range the snapshot doesn't publish
+     * is combined from its month/day buckets; in live mode it is passed to /api/metrics.
+     * @param {string|Object} timeRange - Time range (e.g., 'this_year', 'quarter_2024_Q3', { start: '2025-03-01', end: '2025-04-30' })
+     * @param {Object} options - Request options (signal, timeout, retries) for live mode
      * @returns {Promise<Object>} Metrics object
      */
-    async getMetrics(timeRange = 'this_year') {
+    async getMetrics(timeRange = 'this_year', options = {}) {
         if (this.mode === 'cache') {
             return await this._getMetricsFromCache(timeRange);
         } else {
-            return await this._fetchMetricsFromAPI(timeRange);
+            return await this._fetchMetricsFromAPI(timeRange, options);
         }
     }
     
@@ -43,97 +162,168 @@ class CremaClient {
      * @private
      */
     async _getMetricsFromCache(timeRange) {
-        const cacheKey = `metrics_${timeRange}`;
+        const cacheData = await this._loadCacheFile(timeRange);
+        if (!cacheData.metrics) {
+            throw new (this._errors().InvalidSnapshotError)(`Cache file missing or invalid for time range: ${cacheData.time_range}`, { timeRange: cacheData.time_range });
+        }
         
-        // Check in-memory cache first
-        if (this._cache.has(cacheKey)) {
-            const cached = this._cache.get(cacheKey);
-            // Check cache file timestamp to see if it's newer than in-memory cache
-            try {
-                const cacheFile = await this._getCacheFilePath();
-                const response = await fetch(cacheFile + `?t=${Date.now()}`, { cache: 'no-cache', method: 'HEAD' });
-                const lastModified = response.headers.get('Last-Modified');
-                if (lastModified) {
-                    const fileTime = new Date(lastModified).getTime();
-                    const cacheTime = cached.timestamp;
-                    // If file is newer than cache, clear in-memory cache
-                    if (fileTime > cacheTime) {
-                        this._cache.delete(cacheKey);
-                        console.log('🔄 Cache file updated, clearing in-memory cache');
-                    }
-                }
-            } catch (e) {
-                // If HEAD request fails, fall through to normal cache check
-            }
-            
-            // Check TTL only if cache wasn't cleared above
-            if (this._cache.has(cacheKey)) {
-                const cached = this._cache.get(cacheKey);
-                if (Date.now() - cached.timestamp < this.cacheTTL) {
-                    return cached.data.metrics;
-                }
+        return cacheData.metrics;
+    }
+    
+    /**
+     * Compare metrics between two time ranges (e.g. 'this_month' vs 'last_month')
+     * Every metric, revenue source (metrics.revenue_by_source) and source_targets entry found in
+     * either range gets { current, previous, change, percent_change, direction } - see metric-comparison.js.
+     * @param {string|Object} current - Time range to report on
+     * @param {string|Object} previous - Time range to compare against (default: the period before
+     *                                   `current`, see previousTimeRange() in time-ranges.js)
+     * @param {Object} options - Request options (signal, timeout, retries) for live mode
+     * @returns {Promise<Object>} { current, previous, metrics, revenue_sources, source_targets } -
+     *                            current/previous are { time_range, date_range, requested_range,
+     *                            served_range, is_fallback, expected_date_range, date_range_mismatch }
+     *                            (a date range mismatch compares other periods than asked for)
+     * @throws {TimeRangeNotFoundError} When `previous` is omitted and `current` has no previous period
+     *                                  (today, last_*, all_time), or when either range isn't published
+     *                                  and can't be composed - both sides resolve with the 'strict'
+     *                                  policy, so a comparison never uses substituted data
+     *
+     * @example
+     * const { metrics } = await crema.compareMetrics('this_month', 'last_month');
+     * metrics.revenue_quickbooks; // { current: 12000, previous: 10000, change: 2000, percent_change: 20, direction: 'up' }
+     */
+    async compareMetrics(current, previous, options = {}) {
+        if (previous === undefined || previous === null) {
+            previous = this._timeRanges().previousTimeRange(current, this.calendar);
+            if (!previous) {
+                const timeRange = this._parseTimeRange(current).id;
+                throw new (this._errors().TimeRangeNotFoundError)(
+                    `No previous period for time range '${timeRange}' - pass one to compare against`,
+                    { timeRange }
+                );
             }
         }
+        const load = range => this.mode === 'cache'
+            ? this._loadCacheFile(range, { fallbackPolicy: 'strict' })
+            : this._fetchRangeFromAPI(range, options);
+        const [currentData, previousData] = await Promise.all([load(current), load(previous)]);
         
-        // Load from cache file
-        const cacheData = await this._loadCacheFile(timeRange);
-        if (!cacheData || !cacheData.metrics) {
-            throw new Error(`Cache file missing or invalid for time range: ${timeRange}`);
+        const compare = typeof compareMetricData === 'function'
+            ? compareMetricData
+            : require('./metric-comparison.js').compareMetricData;
+        return {
+            current: this._rangeProvenance(currentData),
+            previous: this._rangeProvenance(previousData),
+            ...compare(currentData, previousData)
+        };
+    }
+    
+    /**
+     * Which range a result is for, and whether it was substituted
+     * @private
+     */
+    _rangeProvenance(data) {
+        return {
+            time_range: data.time_range,
+            date_range: data.date_range,
+            requested_range: data.requested_range,
+            served_range: data.served_range,
+            is_fallback: data.is_fallback,
+            expected_date_range: data.expected_date_range,
+            date_range_mismatch: data.date_range_mismatch
+        };
+    }
+    
+    /**
+     * Check the date_range returned for a range against the tenant calendar (see checkDateRange in
+     * time-ranges.js), e.g. a this_month published last month
+     * @private
+     * @returns {Object} { expected_date_range, date_range_mismatch }
+     */
+    _checkDateRange(timeRange, dateRange) {
+        const { expected, matches } = this._timeRanges().checkDateRange(timeRange, dateRange, this.calendar);
+        if (matches === false) {
+            console.warn(`⚠️ Data for '${this._parseTimeRange(timeRange).id}' covers ${dateRange.start} - ${dateRange.end}, expected ${expected.start} - ${expected.end} (${this.calendar.timeZone})`);
         }
-        
-        // Store in memory with full structure for consistency
-        this._cache.set(cacheKey, {
-            data: cacheData,
-            timestamp: Date.now()
-        });
-        
-        return cacheData.metrics;
+        return { expected_date_range: expected, date_range_mismatch: matches === false };
+    }
+    
+    /**
+     * Get the shared snapshot manager for the cache file
+     * decrypt.js uses the same manager, so the file is downloaded once per page.
+     * @private
+     */
+    async _getSnapshotManager() {
+        if (!this._snapshots) {
+            const Manager = typeof SnapshotManager === 'function'
+                ? SnapshotManager
+                : require('./snapshot-manager.js');
+            this._snapshots = Manager.shared(await this._getCacheFilePath(), {
+                storage: this.storage,
+                maxAge: this.cacheTTL,
+                transport: this.transport
+            });
+        }
+        return this._snapshots;
     }
     
+    /**
+     * Get the parsed consolidated snapshot (all time ranges, Crema data, metadata)
+     * @private
+     */
+    async _getSnapshot() {
+        const manager = await this._getSnapshotManager();
+        return await manager.get();
+    }
+    
+    /**
+     * Resolve the dashboard snapshot URL from the deployment manifest
+     * @private
+     */
     async _getCacheFilePath() {
-        if (this.cacheDir.startsWith('/')) {
-            return `${this.cacheDir}/dashboard_data.json`;
-        } else if (typeof window !== 'undefined') {
-            // Handle both local development (/tenants/maps/app/) and production (/maps/) paths
-            let basePath = window.location.pathname;
-            
-            // Remove trailing filename if present (e.g., /maps/index.html -> /maps)
-            basePath = basePath.replace(/\/[^/]+\.html?$/, '');
-            
-            // Handle production deployment path (/maps/)
-            if (basePath.startsWith('/maps') || basePath === '/maps') {
-                basePath = '/maps';
-            }
-            // Handle local development path (/tenants/maps/app/)
-            else if (basePath.includes('/tenants/maps/app')) {
-                basePath = basePath.replace(/\/tenants\/maps\/app.*$/, '/tenants/maps/app');
-            }
-            // Try to detect from pathname
-            else {
-                const appMatch = basePath.match(/(\/tenants\/[^/]+\/app)(?:\/|$)/);
-                if (appMatch) {
-                    basePath = appMatch[1];
-                } else {
-                    const tenantMatch = basePath.match(/\/([^/]+)(?:\/|$)/);
-                    basePath = tenantMatch ? `/${tenantMatch[1]}/app` : '/maps'; // Default to production path
-                }
-            }
-            
-            return `${basePath}/${this.cacheDir}/dashboard_data.json`;
-        } else {
-            return `${this.cacheDir}/dashboard_data.json`;
+        await this.getManifest(); // Validates the manifest belongs to this tenant
+        return await this.paths.resolveDataset('dashboard');
+    }
+    
+    /**
+     * Get the deployment manifest (data/manifest.json)
+     * @returns {Promise<Object|null>} Manifest, or null if the deployment has none
+     */
+    async getManifest() {
+        const manifest = await this.paths.loadManifest();
+        if (manifest?.tenant_id && manifest.tenant_id !== this.tenantId) {
+            throw new (this._errors().InvalidSnapshotError)(`Manifest is for tenant '${manifest.tenant_id}', expected '${this.tenantId}'`);
         }
+        return manifest;
+    }
+    
+    /**
+     * Get time ranges available for a dataset
+     * Uses the manifest listing; falls back to the keys in the loaded snapshot.
+     * @param {string} dataset - Dataset name (default: 'dashboard')
+     * @returns {Promise<Array<string>>} Time range IDs
+     */
+    async getAvailableTimeRanges(dataset = 'dashboard') {
+        const entry = (await this.getManifest())?.datasets?.[dataset];
+        if (Array.isArray(entry?.time_ranges)) {
+            return entry.time_ranges;
+        }
+        if (this.mode === 'cache' && dataset === 'dashboard') {
+            const allData = await this._getSnapshot();
+            return Object.keys(allData.metrics || {});
+        }
+        return [];
     }
     
     /**
      * Get Crema discovery data
+     * @param {Object} options - Request options (signal, timeout, retries) for live mode
      * @returns {Promise<Object>} Crema data object
      */
-    async getCremaData() {
+    async getCremaData(options = {}) {
         if (this.mode === 'cache') {
             return await this._getCremaDataFromCache();
         } else {
-            return await this._fetchCremaFromAPI();
+            return await this._fetchCremaFromAPI(options);
         }
     }
     
@@ -142,84 +332,34 @@ class CremaClient {
      * @private
      */
     async _getCremaDataFromCache() {
-        const cacheKey = 'crema_data';
-        
-        // Check in-memory cache
-        if (this._cache.has(cacheKey)) {
-            const cached = this._cache.get(cacheKey);
-            if (Date.now() - cached.timestamp < this.cacheTTL) {
-                return cached.data;
-            }
-        }
-        
-        // Load from consolidated dashboard_data.json (contains Crema data)
-        // Use same path resolution as _loadCacheFile
-        let cacheFile;
-        if (this.cacheDir.startsWith('/')) {
-            // Already absolute path
-            cacheFile = `${this.cacheDir}/dashboard_data.json`;
-        } else if (typeof window !== 'undefined') {
-            // Use relative path from current page location
-            // Works for both /tenants/maps/app/ and /maps/ deployments
-            const currentPath = window.location.pathname;
-            
-            // Check for /app pattern FIRST on the original path (before removing segments)
-            // This ensures /tenants/maps/app matches app pattern, not maps pattern
-            const appMatch = currentPath.match(/(\/tenants\/[^/]+\/app)(?:\/|$)/);
-            let basePath;
+        try {
+            // Crema data lives in the consolidated dashboard_data.json snapshot
+            const allData = await this._getSnapshot();
+            let cremaData = allData.crema;
             
-            if (appMatch) {
-                // Development: /tenants/maps/app -> /tenants/maps/app
-                basePath = appMatch[1];
-            } else {
-                // Production: /maps/ or /maps/index.html -> /maps
-                // Remove trailing slash and filename, keep directory
-                basePath = currentPath.replace(/\/[^/]*$/, '');
-                // If path includes GitHub Pages base (e.g., /kandaq-static/maps), extract just /maps
-                const mapsMatch = basePath.match(/(\/maps)(?:\/|$)/);
-                if (mapsMatch) {
-                    basePath = mapsMatch[1];
+            if (cremaData && cremaData._encrypted) {
+                if (!this.decryptNode) {
+                    console.warn('⚠️ Crema data is encrypted but no decryptNode option was provided');
+                    return null;
                 }
+                // Decrypt once per snapshot node (keeps the search index from being rebuilt)
+                if (this._decryptedCrema?.node !== cremaData) {
+                    this._decryptedCrema = { node: cremaData, value: await this.decryptNode(cremaData, allData) };
+                }
+                cremaData = this._decryptedCrema.value;
             }
             
-            // Ensure basePath doesn't end with double slash
-            basePath = basePath.replace(/\/+$/, '') || '/';
-            // Construct cache file path
-            cacheFile = `${basePath}/${this.cacheDir}/dashboard_data.json`;
-            // Clean up any double slashes
-            cacheFile = cacheFile.replace(/\/+/g, '/');
-        } else {
-            // Fallback to relative path
-            cacheFile = `${this.cacheDir}/dashboard_data.json`;
-        }
-        
-        try {
-            const response = await fetch(cacheFile);
-            if (!response.ok) {
-                throw new Error(`Cache file not found: ${cacheFile}`);
-            }
-            
-            const allData = await response.json();
-            const cremaData = allData.crema;
-            
             // Crema data is optional - return null if not available instead of throwing
             if (!cremaData || (typeof cremaData === 'object' && Object.keys(cremaData).length === 0)) {
-                // Store null in cache to avoid repeated fetches
-                this._cache.set(cacheKey, {
-                    data: null,
-                    timestamp: Date.now()
-                });
                 return null;
             }
             
-            // Store in memory cache
-            this._cache.set(cacheKey, {
-                data: cremaData,
-                timestamp: Date.now()
-            });
-            
             return cremaData;
         } catch (e) {
+            // Typed errors (decryption, missing file, network) keep their class for the UI
+            if (e instanceof this._errors().CremaError) {
+                throw e;
+            }
             throw new Error(`Failed to load Crema data: ${e.message}`);
         }
     }
@@ -263,154 +403,359 @@ class CremaClient {
     /**
      * Get entity data (query entities by type)
      * @param {string} entityType - Entity type (e.g., 'donation', 'invoice')
-     * @param {Object} filters - Filter options
+     * @param {Object|CremaQuery} filters - Filter options ({ dateRange, amountMin, amountMax })
+     *                                      or a CremaQuery with additional conditions
+     * @param {Object} options - Search options (signal, timeout, retries, limit, offset)
      * @returns {Promise<Array>} Array of entity records
      */
-    async getEntityData(entityType, filters = {}) {
-        const query = this._buildEntityQuery(entityType, filters);
-        return await this.search(query);
+    async getEntityData(entityType, filters = {}, options = {}) {
+        // Live mode keeps the established /api/query string for the filter object;
+        // only an explicit CremaQuery is sent in the builder's syntax
+        const query = this.mode === 'cache' || filters instanceof this._getQueryClass()
+            ? this._buildEntityQuery(entityType, filters)
+            : this._buildEntityQueryString(entityType, filters);
+        return await this.search(query, options);
+    }
+    
+    /**
+     * Start a structured query (see query-builder.js)
+     * @returns {CremaQuery} Empty query, e.g. crema.query().eq('data_type', 'donation').limit(20)
+     */
+    query() {
+        const Query = this._getQueryClass();
+        return new Query();
+    }
+    
+    /**
+     * Range parsing and composition (time-ranges.js)
+     * @private
+     */
+    _timeRanges() {
+        return typeof parseTimeRange === 'function'
+            ? { parseTimeRange, timeRangeQuery, normalizeCalendar, checkDateRange, previousTimeRange, planRangeComposition, resolveTimeRange, combineRangeData }
+            : require('./time-ranges.js');
+    }
+    
+    /**
+     * Parse a time range with this client's fiscal year
+     * @private
+     */
+    _parseTimeRange(timeRange) {
+        return this._timeRanges().parseTimeRange(timeRange, this.calendar);
+    }
+    
+    /**
+     * Error classes (errors.js)
+     * @private
+     */
+    _errors() {
+        return typeof CremaErrors === 'object'
+            ? CremaErrors
+            : require('./errors.js');
+    }
+    
+    /**
+     * @private
+     */
+    _getQueryClass() {
+        return typeof CremaQuery === 'function'
+            ? CremaQuery
+            : require('./query-builder.js');
     }
     
     /**
      * Search using query
-     * @param {string} query - Query string
-     * @param {Object} options - Search options (limit, offset, etc.)
-     * @returns {Promise<Array>} Search results
+     * In cache mode the search runs in the browser against a local index of the Crema data;
+     * string queries are treated as free text there.
+     * @param {string|CremaQuery} query - Query string, or a CremaQuery (validated and serialized
+     *                                    with its sort, fields, limit and offset)
+     * @param {Object} options - Search options (limit, offset, data_type, etc.) plus request
+     *                           options (signal, timeout, retries) in live mode
+     * @returns {Promise<Array>} Search results (first page only - see searchPages/searchAll)
      */
     async search(query, options = {}) {
-        // Try API
+        return (await this.searchPage(query, options)).results;
+    }
+    
+    /**
+     * Whether search() and getEntityData() can answer in this mode
+     * Live mode always can; cache mode only when the snapshot carries Crema entity records.
+     * @returns {Promise<boolean>}
+     */
+    async isSearchAvailable() {
+        if (this.mode !== 'cache') {
+            return true;
+        }
         try {
-            const response = await fetch(`${this.apiUrl}/api/query`, {
-                method: 'POST',
-                headers: {
-                    'X-Tenant-ID': this.tenantId,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ query, ...options })
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                return data.results || data.data?.results || [];
-            }
-        } catch (e) {
-            console.error('❌ Search failed:', e);
-            throw e;
+            return !(await this._getSearchIndex()).isEmpty();
+        } catch (error) {
+            return false;
         }
     }
     
     /**
-     * Load cache file
-     * @private
+     * Fetch one page of search results with paging metadata
+     * @param {string|CremaQuery} query - Query string or CremaQuery
+     * @param {Object} options - Search options (limit, offset, cursor, data_type, etc.)
+     * @returns {Promise<Object>} { results, total, offset, limit, has_more, next_offset, next_cursor }
+     *                            (total is null when the API doesn't report it)
+     */
+    async searchPage(query, options = {}) {
+        const page = this.mode === 'cache'
+            ? await this._searchLocal(query, options)
+            : await this._searchRemote(query, options);
+        
+        // Effective paging: explicit options win over the query's own limit/offset
+        const compiled = query instanceof this._getQueryClass() ? query.compile() : {};
+        const offset = options.offset ?? compiled.offset ?? 0;
+        const limit = options.limit ?? compiled.limit ?? null;
+        const results = page.results;
+        const total = typeof page.total === 'number' ? page.total : null;
+        const nextCursor = page.next_cursor || null;
+        
+        let hasMore;
+        if (typeof page.has_more === 'boolean') {
+            hasMore = page.has_more;
+        } else if (nextCursor) {
+            hasMore = true;
+        } else if (total !== null) {
+            hasMore = offset + results.length < total;
+        } else {
+            // No count from the API: a full page means there may be more
+            hasMore = limit !== null && results.length >= limit;
+        }
+        
+        return {
+            results,
+            total,
+            offset,
+            limit,
+            has_more: hasMore && results.length > 0,
+            next_offset: offset + results.length,
+            next_cursor: nextCursor
+        };
+    }
+    
+    /**
+     * Iterate over search results page by page
+     * Follows next_cursor when the API returns one, otherwise advances the offset.
+     * @param {string|CremaQuery} query - Query string or CremaQuery
+     * @param {Object} options - Search options plus:
+     * @param {number} options.pageSize - Results per page (default: 50)
+     * @param {number} options.maxPages - Stop after this many pages (default: no limit)
+     * @returns {AsyncGenerator<Object>} Pages as returned by searchPage()
+     *
+     * @example
+     * for await (const page of crema.searchPages('donation', { pageSize: 100 })) {
+     *     render(page.results, page.total);
+     * }
      */
-    async _loadCacheFile(timeRange) {
-        // Load from consolidated dashboard_data.json (single file with all time ranges)
-        // Construct path relative to current page location (works for both /app and /maps)
-        let cacheFile;
-        if (this.cacheDir.startsWith('/')) {
-            // Already absolute path
-            cacheFile = `${this.cacheDir}/dashboard_data.json`;
-        } else if (typeof window !== 'undefined') {
-            // Use relative path from current page location
-            // Works for both /tenants/maps/app/ and /maps/ deployments
-            const currentPath = window.location.pathname;
+    async *searchPages(query, options = {}) {
+        const { pageSize = 50, maxPages = Infinity, ...searchOptions } = options;
+        let offset = searchOptions.offset;
+        let cursor = searchOptions.cursor;
+        
+        for (let pageCount = 0; pageCount < maxPages; pageCount++) {
+            const pageOptions = { ...searchOptions, limit: pageSize };
+            if (cursor) {
+                pageOptions.cursor = cursor;
+            } else if (offset !== undefined) {
+                pageOptions.offset = offset;
+            }
             
-            // Check for /app pattern FIRST on the original path (before removing segments)
-            // This ensures /tenants/maps/app matches app pattern, not maps pattern
-            const appMatch = currentPath.match(/(\/tenants\/[^/]+\/app)(?:\/|$)/);
-            let basePath;
+            const page = await this.searchPage(query, pageOptions);
+            yield page;
             
-            if (appMatch) {
-                // Development: /tenants/maps/app -> /tenants/maps/app
-                basePath = appMatch[1];
-            } else {
-                // Production: /maps/ or /maps/index.html -> /maps
-                // Remove trailing slash and filename, keep directory
-                basePath = currentPath.replace(/\/[^/]*$/, '');
-                // If path includes GitHub Pages base (e.g., /kandaq-static/maps), extract just /maps
-                const mapsMatch = basePath.match(/(\/maps)(?:\/|$)/);
-                if (mapsMatch) {
-                    basePath = mapsMatch[1];
-                }
+            if (!page.has_more) {
+                return;
             }
-            
-            // Ensure basePath doesn't end with double slash
-            basePath = basePath.replace(/\/+$/, '') || '/';
-            // Construct cache file path
-            cacheFile = `${basePath}/${this.cacheDir}/dashboard_data.json`;
-            // Clean up any double slashes
-            cacheFile = cacheFile.replace(/\/+/g, '/');
-        } else {
-            // Fallback to relative path
-            cacheFile = `${this.cacheDir}/dashboard_data.json`;
+            offset = page.next_offset;
+            cursor = page.next_cursor;
         }
-        
-        // Add cache-busting query parameter to ensure fresh data
-        const cacheBuster = `?t=${Date.now()}`;
-        const response = await fetch(cacheFile + cacheBuster, {
-            cache: 'no-cache'
-        });
-        if (!response.ok) {
-            throw new Error(`Cache file not found: ${cacheFile}`);
+    }
+    
+    /**
+     * Iterate over every matching record across all pages
+     * Breaking out of the loop stops further page requests.
+     * @param {string|CremaQuery} query - Query string or CremaQuery
+     * @param {Object} options - Same as searchPages()
+     * @returns {AsyncGenerator<Object>} Records
+     *
+     * @example
+     * for await (const donation of crema.searchAll(crema.query().eq('data_type', 'donation'))) { ... }
+     */
+    async *searchAll(query, options = {}) {
+        for await (const page of this.searchPages(query, options)) {
+            yield* page.results;
         }
+    }
+    
+    /**
+     * Search via the API (live mode)
+     * @private
+     * @returns {Promise<Object>} { results, total, has_more, next_cursor } as reported by the API
+     */
+    async _searchRemote(query, options = {}) {
+        const { signal, timeout, retries, ...searchOptions } = options;
+        const body = query instanceof this._getQueryClass()
+            ? { ...query.toRequestBody(), ...searchOptions }
+            : { query, ...searchOptions };
         
-        const allData = await response.json();
+        const data = await this.request(this.searchEndpoint, { method: 'POST', body, signal, timeout, retries });
         
-        // Extract data for the requested time range
-        let timeRangeData = allData.metrics?.[timeRange];
+        // Both { results, total } and { success, data: { results, total } } responses
+        const payload = data.data && !Array.isArray(data.data) ? data.data : data;
+        return {
+            results: payload.results || [],
+            total: payload.total,
+            has_more: payload.has_more,
+            next_cursor: payload.next_cursor
+        };
+    }
+    
+    /**
+     * Search the local index (cache mode)
+     * @private
+     * @returns {Promise<{results: Array, total: number}>}
+     */
+    async _searchLocal(query, options = {}) {
+        const index = await this._getSearchIndex();
+        if (index.isEmpty()) {
+            // No entity records in the snapshot: unavailable, not an empty result
+            const { CacheMissError } = this._errors();
+            throw new CacheMissError('Entity search is not available: the snapshot has no Crema entity records');
+        }
         
-        // If exact time range not found, try fallback to broader ranges
-        if (!timeRangeData) {
-            console.warn(`⚠️ Time range '${timeRange}' not found, trying fallback...`);
-            
-            // Fallback order: try broader time ranges
-            const fallbackMap = {
-                'today': ['this_week', 'this_month', 'this_year'],
-                'this_week': ['this_month', 'this_year'],
-                'last_week': ['this_month', 'this_year', 'last_month'],
-                'this_month': ['this_quarter', 'this_year'],
-                'last_month': ['this_quarter', 'this_year', 'last_quarter', 'last_year'],
-                'this_quarter': ['this_year'],
-                'last_quarter': ['this_year', 'last_year'],
-                'last_year': ['this_year', 'all_time'],
-                'all_time': ['this_year']
-            };
-            
-            const fallbacks = fallbackMap[timeRange] || [];
-            for (const fallback of fallbacks) {
-                if (allData.metrics?.[fallback]) {
-                    console.log(`✅ Using fallback time range: ${fallback}`);
-                    timeRangeData = allData.metrics[fallback];
-                    break;
-                }
+        if (query instanceof this._getQueryClass()) {
+            const ast = query.compile();
+            if (options.limit !== undefined) {
+                ast.limit = options.limit;
             }
-            
-            // If still not found, use this_year as final fallback
-            if (!timeRangeData && allData.metrics?.['this_year']) {
-                console.log(`✅ Using final fallback: this_year`);
-                timeRangeData = allData.metrics['this_year'];
-            }
-            
-            if (!timeRangeData) {
-                throw new Error(`Time range '${timeRange}' not found in cache file and no fallback available`);
+            if (options.offset !== undefined) {
+                ast.offset = options.offset;
             }
+            return index.query(ast);
         }
         
+        return index.search(query, {
+            data_type: options.data_type,
+            limit: options.limit,
+            offset: options.offset
+        });
+    }
+    
+    /**
+     * Get the local search index, rebuilding it when the Crema data changes
+     * @private
+     */
+    async _getSearchIndex() {
+        const cremaData = await this._getCremaDataFromCache();
+        if (!this._searchIndex || this._searchIndex.source !== cremaData) {
+            const Index = typeof LocalSearchIndex === 'function'
+                ? LocalSearchIndex
+                : require('./search-index.js');
+            this._searchIndex = { source: cremaData, index: Index.fromCremaData(cremaData) };
+        }
+        return this._searchIndex.index;
+    }
+    
+    /**
+     * Load cache file
+     * A range that isn't published is composed from its buckets or, failing that, substituted
+     * according to the fallback policy; the result says which range was served. Its date_range is
+     * checked against the tenant calendar (expected_date_range, date_range_mismatch).
+     * @param {string|Object} timeRange - Time range
+     * @param {Object} options - { fallbackPolicy } overrides the client's policy for this call
+     * @private
+     */
+    async _loadCacheFile(timeRange, options = {}) {
+        // Every time range is served from the same parsed snapshot (fetched once, revalidated with ETag)
+        const allData = await this._getSnapshot();
+        
+        // Exact range, range built from buckets, or a fallback (see fallbackPolicy)
+        const { resolveTimeRange } = this._timeRanges();
+        const resolved = resolveTimeRange(timeRange, Object.keys(allData.metrics || {}), {
+            ...this.calendar,
+            publishedAt: allData.timestamp || allData.cached_at,
+            fallbackPolicy: options.fallbackPolicy ?? this.fallbackPolicy
+        });
+        const timeRangeData = await this._composeCacheRange(resolved.plan, allData);
+        
         // Return in the same format as old separate files
         return {
             tenant_id: allData.tenant_id,
-            time_range: timeRange,
+            time_range: resolved.served_range,
+            requested_range: resolved.requested_range,
+            served_range: resolved.served_range,
+            is_fallback: resolved.is_fallback,
             business_type: allData.business_type,
             date_range: timeRangeData.date_range,
             timestamp: timeRangeData.timestamp,
             cached_at: allData.cached_at,
             cache_version: allData.cache_version,
+            ...this._checkDateRange(resolved.served_range, timeRangeData.date_range),
             metrics: timeRangeData.metrics,
             source_targets: timeRangeData.source_targets,
-            all_metrics_data: timeRangeData.all_metrics_data
+            all_metrics_data: timeRangeData.all_metrics_data,
+            ...(timeRangeData.composed_from ? { composed_from: timeRangeData.composed_from, omitted: timeRangeData.omitted } : {})
         };
     }
     
+    /**
+     * Read one published range: its payload plus its targets, which encrypted snapshots keep under
+     * source_targets.<range> rather than in the payload. The payload is upgraded from the snapshot's
+     * cache_version and checked against the schema (see snapshot-schema.js).
+     * @private
+     */
+    async _readCacheRange(key, allData, timeRange) {
+        const prepare = typeof prepareRangePayload === 'function'
+            ? prepareRangePayload
+            : require('./snapshot-schema.js').prepareRangePayload;
+        const payload = prepare(await this._readCacheNode(allData.metrics[key], allData, timeRange), {
+            version: allData.cache_version,
+            path: `metrics.${key}`
+        });
+        if (payload?.source_targets !== undefined || allData.source_targets?.[key] === undefined) {
+            return payload;
+        }
+        return { ...payload, source_targets: await this._readCacheNode(allData.source_targets[key], allData, timeRange) };
+    }
+    
+    /**
+     * Decrypt a snapshot node with the decryptNode option (unencrypted nodes are returned as-is)
+     * Throws InvalidSnapshotError when the node is encrypted and no decryptNode option was provided.
+     * @private
+     */
+    async _readCacheNode(node, allData, timeRange) {
+        if (!node || !node._encrypted) {
+            return node;
+        }
+        if (!this.decryptNode) {
+            throw new (this._errors().InvalidSnapshotError)(
+                `Time range '${timeRange}' is encrypted but no decryptNode option was provided`,
+                { timeRange }
+            );
+        }
+        return await this.decryptNode(node, allData);
+    }
+    
+    /**
+     * Read the buckets of a plan from planRangeComposition() - usually the one published range,
+     * otherwise the day/month/quarter/year buckets a range is built from. Throws InvalidSnapshotError when the buckets are
+     * encrypted and no decryptNode option was provided.
+     * @private
+     */
+    async _composeCacheRange(plan, allData) {
+        const parts = [];
+        for (const bucket of plan.buckets) {
+            parts.push(await this._readCacheRange(bucket, allData, plan.id));
+        }
+        if (plan.buckets.length > 1) {
+            console.log(`📦 Built '${plan.id}' from ${plan.buckets.length} cached periods: ${plan.buckets.join(', ')}`);
+        }
+        return this._timeRanges().combineRangeData(parts, plan);
+    }
+    
     /**
      * Expose _loadCacheFile for external use (for encrypted files)
      * @public
@@ -423,54 +768,48 @@ class CremaClient {
      * Fetch metrics from API
      * @private
      */
-    async _fetchMetricsFromAPI(timeRange) {
-        const response = await fetch(
-            `${this.apiUrl}/api/metrics?time_range=${timeRange}`,
-            {
-                headers: {
-                    'X-Tenant-ID': this.tenantId,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch metrics: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        return data.metrics || data.data?.metrics;
+    async _fetchMetricsFromAPI(timeRange, options = {}) {
+        return (await this._fetchRangeFromAPI(timeRange, options)).metrics;
+    }
+    
+    /**
+     * Fetch a range's metrics and source targets from API
+     * @private
+     */
+    async _fetchRangeFromAPI(timeRange, options = {}) {
+        const query = this._timeRanges().timeRangeQuery(timeRange, this.calendar);
+        const data = await this.request(`/api/metrics?${query}`, options);
+        const id = this._parseTimeRange(timeRange).id;
+        const dateRange = data.date_range || data.data?.date_range;
+        return {
+            time_range: id,
+            requested_range: id,
+            served_range: id,
+            is_fallback: false,
+            date_range: dateRange,
+            ...this._checkDateRange(timeRange, dateRange),
+            metrics: data.metrics || data.data?.metrics,
+            source_targets: data.source_targets || data.data?.source_targets || {}
+        };
     }
     
     /**
      * Fetch Crema data from API
      * @private
      */
-    async _fetchCremaFromAPI() {
-        const response = await fetch(`${this.apiUrl}/api/crema`, {
-            headers: {
-                'X-Tenant-ID': this.tenantId,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch Crema data: ${response.status}`);
-        }
-        
-        const data = await response.json();
+    async _fetchCremaFromAPI(options = {}) {
+        const data = await this.request('/api/crema', options);
         return data.data || data;
     }
     
     /**
-     * Build entity query
+     * Build entity query string in the /api/query syntax the API already accepts
+     * e.g. data_type=donation AND date >= 2025-01-01 AND date <= 2025-01-31
      * @private
      */
-    _buildEntityQuery(entityType, filters) {
-        // Simple query builder - can be enhanced
+    _buildEntityQueryString(entityType, filters) {
         let query = `data_type=${entityType}`;
         
-        // Add filters
         if (filters.dateRange) {
             query += ` AND date >= ${filters.dateRange.start} AND date <= ${filters.dateRange.end}`;
         }
@@ -486,9 +825,48 @@ class CremaClient {
         return query;
     }
     
+    /**
+     * Build entity query as a CremaQuery (local index, or a caller's structured filters)
+     * @private
+     */
+    _buildEntityQuery(entityType, filters) {
+        const Query = this._getQueryClass();
+        const typeCondition = { op: 'eq', field: 'data_type', value: entityType };
+        
+        // Structured query: scope its conditions to the entity type, keep sort/fields/paging
+        if (filters instanceof Query) {
+            const ast = filters.compile();
+            return Query.from({
+                ...ast,
+                where: ast.where ? { op: 'and', conditions: [typeCondition, ast.where] } : typeCondition
+            });
+        }
+        
+        const query = new Query().where(typeCondition);
+        
+        if (filters.dateRange) {
+            query.range('date', { gte: filters.dateRange.start, lte: filters.dateRange.end });
+        }
+        
+        const amountBounds = {};
+        if (filters.amountMin !== undefined && filters.amountMin !== null) {
+            amountBounds.gte = filters.amountMin;
+        }
+        if (filters.amountMax !== undefined && filters.amountMax !== null) {
+            amountBounds.lte = filters.amountMax;
+        }
+        if (Object.keys(amountBounds).length > 0) {
+            query.range('amount', amountBounds);
+        }
+        
+        return query;
+    }
+    
     /**
      * Check if cache is valid (only in cache mode)
-     * @param {string} timeRange - Time range to check
+     * Works against whichever storage backend is configured: a persisted snapshot
+     * counts once the client has restored it.
+     * @param {string|Object} timeRange - Time range to check (composed ranges need all their buckets)
      * @returns {boolean} True if cache is valid
      */
     isCacheValid(timeRange) {
@@ -496,20 +874,191 @@ class CremaClient {
             return false; // Not using cache mode
         }
         
-        const cacheKey = `metrics_${timeRange}`;
-        if (!this._cache.has(cacheKey)) {
+        const snapshot = this._snapshots?.peek();
+        const available = Object.keys(snapshot?.data?.metrics || {});
+        try {
+            this._timeRanges().planRangeComposition(timeRange, available, {
+                ...this.calendar,
+                publishedAt: snapshot?.data?.timestamp || snapshot?.data?.cached_at
+            });
+        } catch (e) {
             return false;
         }
         
-        const cached = this._cache.get(cacheKey);
-        return Date.now() - cached.timestamp < this.cacheTTL;
+        return Date.now() - snapshot.timestamp < this.cacheTTL;
     }
     
     /**
-     * Clear in-memory cache
+     * Clear cache (in-memory snapshot and storage backend)
+     * @returns {Promise<void>} Resolves once the storage backend is cleared
      */
     clearCache() {
-        this._cache.clear();
+        const pending = [
+            this.storage.clear().catch(e => {
+                console.warn('⚠️ Could not clear cache storage:', e.message);
+            })
+        ];
+        if (this._snapshots) {
+            pending.push(this._snapshots.clear());
+        }
+        return Promise.all(pending).then(() => {});
+    }
+    
+    /**
+     * Subscribe to newly published data
+     * Polls while there are subscribers - in cache mode with one conditional request for the
+     * snapshot file (304 when nothing changed), in live mode with a HEAD request for the endpoint's
+     * ETag - and calls back when the data's version changes. A live API that reports no version
+     * (no ETag/Last-Modified, no cached_at/version field) never fires. Polling pauses while the page is hidden (see change-poller.js).
+     * @param {string} topic - 'metrics' or 'crema'
+     * @param {string|Object} timeRange - Time range for 'metrics' (omit for 'crema'); events carry its id
+     * @param {Function} callback - ({ topic, timeRange, data, cached_at, previous_cached_at }) => void
+     *                              (in live mode cached_at is the endpoint's version, e.g. its ETag)
+     * @returns {Function} Unsubscribe function
+     *
+     * @example
+     * const unsubscribe = crema.subscribe('metrics', 'this_year', ({ data }) => updateMetrics(data));
+     */
+    subscribe(topic, timeRange, callback) {
+        if (typeof timeRange === 'function') {
+            callback = timeRange;
+            timeRange = null;
+        }
+        if (!CremaClient.SUBSCRIPTION_TOPICS.includes(topic)) {
+            throw new Error(`Invalid subscription topic: ${topic}. Must be one of: ${CremaClient.SUBSCRIPTION_TOPICS.join(', ')}`);
+        }
+        if (typeof callback !== 'function') {
+            throw new Error('subscribe() requires a callback');
+        }
+        
+        const subscription = {
+            topic,
+            timeRange: topic === 'metrics' ? this._parseTimeRange(timeRange || 'this_year').id : null,
+            callback,
+            version: undefined // cached_at of the data the subscriber has seen
+        };
+        this._subscriptions.add(subscription);
+        
+        // Baseline: changes are reported relative to the data available now
+        this._readSubscriptionVersion(subscription)
+            .then(({ version }) => {
+                if (subscription.version === undefined) {
+                    subscription.version = version;
+                }
+            })
+            .catch(e => console.warn(`⚠️ Could not read current ${topic} version:`, e.message));
+        
+        if (!this._poller) {
+            const Poller = typeof ChangePoller === 'function'
+                ? ChangePoller
+                : require('./change-poller.js');
+            this._poller = new Poller(() => this._pollSubscriptions(), {
+                interval: this.pollInterval,
+                hiddenInterval: this.hiddenPollInterval
+            });
+        }
+        this._poller.start();
+        
+        return () => {
+            this._subscriptions.delete(subscription);
+            if (this._subscriptions.size === 0) {
+                this._poller.stop();
+            }
+        };
+    }
+    
+    /**
+     * Check every subscription for new data and notify subscribers
+     * @private
+     */
+    async _pollSubscriptions() {
+        if (this.mode === 'cache') {
+            // One conditional request covers every subscription
+            await (await this._getSnapshotManager()).revalidate();
+        }
+        
+        for (const subscription of Array.from(this._subscriptions)) {
+            const { topic, timeRange } = subscription;
+            let event;
+            try {
+                let { version, data } = await this._readSubscriptionVersion(subscription);
+                const previous = subscription.version;
+                // No known version before or now: nothing to compare, so no event
+                if (previous === undefined || previous === null) {
+                    subscription.version = version;
+                    continue;
+                }
+                if (version === null || previous === version || !this._subscriptions.has(subscription)) {
+                    continue;
+                }
+                
+                console.log(`🔄 New ${topic} data${timeRange ? ` for ${timeRange}` : ''} (${previous} → ${version})`);
+                if (data === undefined) {
+                    data = topic === 'metrics' ? await this.getMetrics(timeRange) : await this.getCremaData();
+                }
+                // Only mark the version as seen once its data loaded (a failure is retried next check)
+                subscription.version = version;
+                event = { topic, timeRange, data, cached_at: version, previous_cached_at: previous };
+            } catch (e) {
+                console.warn(`⚠️ Could not check ${topic} for updates:`, e.message);
+                continue;
+            }
+            
+            try {
+                subscription.callback(event);
+            } catch (e) {
+                console.error(`❌ ${topic} subscriber failed:`, e);
+            }
+        }
+    }
+    
+    /**
+     * Current version of a subscription's data
+     * Cache mode reads cached_at from the snapshot without loading the data. Live mode asks the
+     * endpoint with a HEAD request for its ETag (or Last-Modified) and, when it sends neither,
+     * reads the payload's cached_at/version field. No version at all gives null: the
+     * subscription then never fires rather than reporting every poll as new data.
+     * @private
+     * @returns {Promise<{version: string|null, data: *}>}
+     */
+    async _readSubscriptionVersion(subscription) {
+        if (this.mode === 'cache') {
+            const snapshot = await this._getSnapshot();
+            return { version: snapshot.cached_at, data: undefined };
+        }
+        const path = subscription.topic === 'metrics'
+            ? `/api/metrics?${this._timeRanges().timeRangeQuery(subscription.timeRange, this.calendar)}`
+            : '/api/crema';
+        
+        const validator = await this._readValidator(path);
+        if (validator) {
+            return { version: validator, data: undefined };
+        }
+        
+        const body = await this.request(path);
+        const payload = body.data && !Array.isArray(body.data) ? body.data : {};
+        const version = body.cached_at ?? payload.cached_at ?? body.version ?? payload.version ?? null;
+        return { version: version === null ? null : String(version), data: undefined };
+    }
+    
+    /**
+     * ETag or Last-Modified of an API endpoint (HEAD request)
+     * @private
+     * @returns {Promise<string|null>} Null when the API doesn't send either or doesn't allow HEAD
+     */
+    async _readValidator(path) {
+        try {
+            const response = await this.transport.request(`${this.apiUrl}${path}`, {
+                method: 'HEAD',
+                headers: await this._requestHeaders()
+            });
+            return response.headers.get('ETag') || response.headers.get('Last-Modified') || null;
+        } catch (e) {
+            if (e.status === 404 || e.status === 405 || e.status === 501) {
+                return null;
+            }
+            throw e;
+        }
     }
     
     /**
@@ -523,6 +1072,10 @@ class CremaClient {
         this.mode = mode;
         // Clear cache when switching modes
         this.clearCache();
+        // Versions differ between modes - subscriptions start over from the next check
+        this._subscriptions.forEach(subscription => {
+            subscription.version = undefined;
+        });
     }
     
     /**
@@ -534,6 +1087,8 @@ class CremaClient {
     }
 }
 
+CremaClient.SUBSCRIPTION_TOPICS = ['metrics', 'crema'];
+
 // Export for use in apps
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CremaClient;
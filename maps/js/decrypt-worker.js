@@ -0,0 +1,64 @@
+/**
+ * Decrypt Worker - key derivation (PBKDF2, scrypt) and AES-GCM decryption off the main thread
+ *
+ * Started by DecryptionService (decrypt.js).
+ *
+ * Messages in:
+ *   { id, type: 'unlock', encryption, secret }     Unlock a key set from the password in `secret`
+ *   { id, type: 'decrypt', buffers, keyIds, additionalData, encryption, secret }
+ *                                  secret: password, or a key set from 'unlock'
+ *                                  buffers: transferred ArrayBuffers (IV + ciphertext + tag)
+ *                                  keyIds: each buffer's _key_id (null for single-key envelopes)
+ *                                  additionalData: each buffer's AAD (null before version 2 envelopes)
+ *   { type: 'clear' }             Forget derived keys
+ *
+ * Messages out:
+ *   { id, type: 'progress', phase, done, total }   phase 'key' once the key is derived, 'decrypt' after each buffer
+ *   { id, type: 'result', values }                 Decrypted values (parsed JSON), in buffer order,
+ *                                                  or the key set for 'unlock'
+ *   { id, type: 'error', error }                   { name, code, message, reason, keyId, index }
+ *                                                  index: the buffer that failed to decrypt
+ */
+
+importScripts('errors.js', 'scrypt.js', 'decrypt.js');
+
+self.onmessage = async event => {
+    const { id, type } = event.data;
+    if (type === 'clear') {
+        clearDerivedKeys();
+        return;
+    }
+    if (type !== 'decrypt' && type !== 'unlock') {
+        return;
+    }
+
+    const { buffers, keyIds, additionalData, encryption, secret } = event.data;
+    try {
+        if (type === 'unlock') {
+            // CryptoKeys are structured-cloned back (they stay non-extractable)
+            self.postMessage({ id, type: 'result', values: await unlockKeys(encryption, secret) });
+            return;
+        }
+
+        const keys = await Promise.all(keyIds.map(keyId => getNodeKey(encryption, secret, keyId)));
+        self.postMessage({ id, type: 'progress', phase: 'key', done: 0, total: buffers.length });
+
+        const values = [];
+        for (const [index, buffer] of buffers.entries()) {
+            try {
+                values.push(await decryptBytes(new Uint8Array(buffer), keys[index], additionalData[index]));
+            } catch (error) {
+                error.index = index;
+                throw error;
+            }
+            self.postMessage({ id, type: 'progress', phase: 'decrypt', done: values.length, total: buffers.length });
+        }
+        self.postMessage({ id, type: 'result', values });
+    } catch (error) {
+        self.postMessage({
+            id,
+            type: 'error',
+            error: { name: error.name, code: error.code, message: error.message, reason: error.reason, keyId: error.keyId, index: error.index }
+        });
+    }
+};
@@ -2,66 +2,229 @@
  * Client-Side Data Decryption
  * 
  * Decrypts sensitive fields in dashboard JSON files.
- * Uses Web Crypto API for secure decryption in the browser.
+ * Uses Web Crypto API for secure decryption in the browser. Key derivation and decryption run
+ * in a Web Worker (js/decrypt-worker.js) when available, on the main thread otherwise.
+ *
+ * Encryption envelopes (`_encryption`):
+ *   { salt, iterations }      One key derived from the password; nodes are { _encrypted, _data }
+ *   { keyring: [...] }        Random data keys, each wrapped by one or more password slots:
+ *                             { key_id, slot, salt, iterations, wrapped_key }
+ *                             wrapped_key = base64(IV + AES-GCM(password key, raw data key) + tag).
+ *                             Nodes are { _encrypted, _key_id, _data }. Wrapping the same key_id
+ *                             under an old and a new password lets both work during a rotation;
+ *                             removing a slot retires its password.
+ *
+ * Version 2 envelopes (`version: 2`, either format) authenticate where data lives:
+ *   - Each node is encrypted with AAD = snapshotAdditionalData(snapshot, path), binding its
+ *     JSON path and the snapshot metadata (AUTHENTICATED_FIELDS)
+ *   - `_encryption.header` is an encrypted node holding those metadata values (AAD: its path only);
+ *     it is checked against the plaintext fields before any node is decrypted
+ * Moved or modified nodes and edited metadata fail with an IntegrityError.
+ *
+ * `algorithm` and `key_derivation` choose the cipher and KDF (CIPHERS, KEY_DERIVATIONS):
+ * PBKDF2-SHA256 (the default), PBKDF2-SHA512 or scrypt (js/scrypt.js). Unknown values and
+ * settings below the minimums fail with a DecryptionError (reason 'unsupported').
+ *
+ * `_encryption.key_check` (optional) is a small encrypted node used only to check a password
+ * before it is used (see DecryptingView.verify()).
  */
 
+// URL of this script, used to find decrypt-worker.js next to it
+const DECRYPT_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src
+    : null;
+
+// Content ciphers by `_encryption.algorithm` (files without one are AES-256-GCM)
+const CIPHERS = {
+    'aes-256-gcm': { name: 'AES-GCM', length: 256 }
+};
+
+// Key derivation functions by `key_derivation` (files without one use PBKDF2-SHA256), with
+// defaults for new snapshots and the weakest settings accepted. Weaker (or absurdly expensive)
+// settings are rejected rather than used.
+//   PBKDF2: `iterations`
+//   scrypt: `kdf_params: { n, r, p }` - memory use is 128 * r * n bytes
+const KEY_DERIVATIONS = {
+    pbkdf2_sha256: { hash: 'SHA-256', defaultIterations: 100000, minIterations: 100000 },
+    pbkdf2_sha512: { hash: 'SHA-512', defaultIterations: 210000, minIterations: 100000 },
+    scrypt: { defaultParams: { n: 32768, r: 8, p: 1 }, minN: 16384, minR: 8 }
+};
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+const MAX_SCRYPT_PARALLELIZATION = 16;
+
+/**
+ * Checked key derivation settings for an envelope or one of its keyring slots
+ * A slot can name its own key_derivation/iterations/kdf_params; anything it leaves out comes
+ * from the envelope.
+ * @param {Object} encryption - Snapshot _encryption metadata
+ * @param {Object} slot - Keyring entry (default: none - the envelope's own salt)
+ * @returns {Object} { algorithm, kdf, salt, iterations } (PBKDF2) or { algorithm, kdf, salt, n, r, p } (scrypt),
+ *                   plus `id`, which identifies the derived key
+ * @throws {DecryptionError} reason 'unsupported' for unknown algorithms or KDFs and out-of-range settings
+ */
+function keyDerivationSettings(encryption, slot = null) {
+    const source = slot || encryption;
+    const algorithm = encryption.algorithm || 'aes-256-gcm';
+    const kdf = source.key_derivation || encryption.key_derivation || 'pbkdf2_sha256';
+    const unsupported = message => {
+        const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+        return new errors.DecryptionError(message, { reason: 'unsupported' });
+    };
+
+    if (!CIPHERS[algorithm]) {
+        throw unsupported(`Unsupported encryption algorithm '${algorithm}'. Supported: ${Object.keys(CIPHERS).join(', ')}`);
+    }
+    const spec = KEY_DERIVATIONS[kdf];
+    if (!spec) {
+        throw unsupported(`Unsupported key derivation '${kdf}'. Supported: ${Object.keys(KEY_DERIVATIONS).join(', ')}`);
+    }
+    if (!source.salt) {
+        throw unsupported('Encryption metadata has no salt');
+    }
+
+    if (kdf === 'scrypt') {
+        const { n, r, p } = source.kdf_params || encryption.kdf_params || {};
+        if (!Number.isInteger(n) || (n & (n - 1)) !== 0 || !Number.isInteger(r) || !Number.isInteger(p) || p < 1) {
+            throw unsupported(`Invalid scrypt parameters (n=${n}, r=${r}, p=${p})`);
+        }
+        if (n < spec.minN || r < spec.minR) {
+            throw unsupported(`scrypt parameters are too weak (n=${n}, r=${r}); at least n=${spec.minN}, r=${spec.minR} is required`);
+        }
+        if (128 * r * n > MAX_SCRYPT_MEMORY || p > MAX_SCRYPT_PARALLELIZATION) {
+            throw unsupported(`scrypt parameters are too expensive (n=${n}, r=${r}, p=${p})`);
+        }
+        return { algorithm, kdf, salt: source.salt, n, r, p, id: `${algorithm}:${kdf}:${source.salt}:${n}:${r}:${p}` };
+    }
+
+    // Files from before key_derivation was honored default to the generator's 100000 iterations
+    const iterations = source.iterations ?? encryption.iterations ?? 100000;
+    if (!Number.isInteger(iterations) || iterations < spec.minIterations) {
+        throw unsupported(`${kdf} iteration count ${iterations} is too low; at least ${spec.minIterations} is required`);
+    }
+    if (iterations > MAX_PBKDF2_ITERATIONS) {
+        throw unsupported(`${kdf} iteration count ${iterations} is too high`);
+    }
+    return { algorithm, kdf, salt: source.salt, iterations, id: `${algorithm}:${kdf}:${source.salt}:${iterations}` };
+}
+
 /**
- * Derive encryption key from password using PBKDF2
+ * Check every key derivation an envelope would need (the envelope's, or each keyring slot's)
+ * @param {Object} encryption - Snapshot _encryption metadata
+ * @throws {DecryptionError} reason 'unsupported' (see keyDerivationSettings())
+ */
+function checkEncryptionSettings(encryption) {
+    const slots = Array.isArray(encryption.keyring) ? encryption.keyring : [null];
+    for (const slot of slots) {
+        keyDerivationSettings(encryption, slot);
+    }
+}
+
+/**
+ * Derive a key from a password with the envelope's KDF (see KEY_DERIVATIONS)
  * @param {string} password - User password or secret
- * @param {string} saltBase64 - Base64-encoded salt
- * @param {number} iterations - PBKDF2 iterations
- * @returns {Promise<CryptoKey>} - Encryption key
+ * @param {Object} settings - From keyDerivationSettings()
+ * @param {Array<string>} usages - Key usages (default: ['decrypt'])
+ * @returns {Promise<CryptoKey>} - Non-extractable key
  */
-async function deriveKeyFromPassword(password, saltBase64, iterations = 100000) {
-    const salt = Uint8Array.from(atob(saltBase64), c => c.charCodeAt(0));
+async function deriveKeyFromPassword(password, settings, usages = ['decrypt']) {
+    const salt = base64ToBytes(settings.salt);
+    const secret = new TextEncoder().encode(password);
+    const cipher = CIPHERS[settings.algorithm];
+    
+    if (settings.kdf === 'scrypt') {
+        const derive = typeof scrypt === 'function' ? scrypt : require('./scrypt.js').scrypt;
+        const raw = await derive(secret, salt, { n: settings.n, r: settings.r, p: settings.p, dkLen: cipher.length / 8 });
+        return await crypto.subtle.importKey('raw', raw, cipher, false, usages);
+    }
     
     const keyMaterial = await crypto.subtle.importKey(
         'raw',
-        new TextEncoder().encode(password),
+        secret,
         'PBKDF2',
         false,
-        ['deriveBits', 'deriveKey']
+        ['deriveKey']
     );
     
-    const key = await crypto.subtle.deriveKey(
+    return await crypto.subtle.deriveKey(
         {
             name: 'PBKDF2',
             salt: salt,
-            iterations: iterations,
-            hash: 'SHA-256'
+            iterations: settings.iterations,
+            hash: KEY_DERIVATIONS[settings.kdf].hash
         },
         keyMaterial,
-        {
-            name: 'AES-GCM',
-            length: 256
-        },
-        true,
-        ['decrypt']
+        cipher,
+        false,
+        usages
     );
-    
-    return key;
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+// Plaintext snapshot fields bound into version 2 envelopes
+const AUTHENTICATED_FIELDS = ['tenant_id', 'business_type', 'timestamp', 'cached_at', 'cache_version'];
+
+// Path of the authenticated header node in version 2 envelopes
+const HEADER_PATH = '_encryption.header';
+
+/**
+ * Additional authenticated data for a node in a version 2 envelope
+ * @param {Object|null} snapshot - Snapshot whose metadata is bound (null for the header itself)
+ * @param {string} path - Dotted JSON path of the node (e.g. 'metrics.this_year')
+ * @returns {string} Canonical JSON: { path, ...AUTHENTICATED_FIELDS } in that order
+ */
+function snapshotAdditionalData(snapshot, path) {
+    const aad = { path };
+    if (snapshot) {
+        for (const field of AUTHENTICATED_FIELDS) {
+            aad[field] = snapshot[field] ?? null;
+        }
+    }
+    return JSON.stringify(aad);
 }
 
 /**
  * Decrypt a value using AES-GCM
  * @param {string} encryptedBase64 - Base64-encoded encrypted data (IV + ciphertext + tag)
  * @param {CryptoKey} key - Decryption key
+ * @param {string|null} additionalData - AAD the value was encrypted with (version 2 envelopes)
  * @returns {Promise<any>} - Decrypted value (parsed JSON)
  */
-async function decryptValue(encryptedBase64, key) {
+async function decryptValue(encryptedBase64, key, additionalData = null) {
+    // Format: base64(IV(12 bytes) + ciphertext + tag(16 bytes))
+    return await decryptBytes(base64ToBytes(encryptedBase64), key, additionalData);
+}
+
+/**
+ * Decrypt AES-GCM bytes (IV + ciphertext + tag) and parse the JSON inside
+ * @param {Uint8Array} encrypted - IV(12 bytes) + ciphertext + tag(16 bytes)
+ * @param {CryptoKey} key - Decryption key
+ * @param {string|null} additionalData - AAD the value was encrypted with (version 2 envelopes)
+ * @returns {Promise<any>} - Decrypted value (parsed JSON)
+ */
+async function decryptBytes(encrypted, key, additionalData = null) {
     try {
-        // Format: base64(IV(12 bytes) + ciphertext + tag(16 bytes))
-        const encrypted = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
-        
         // Extract IV (first 12 bytes) and ciphertext+tag (rest)
         const iv = encrypted.slice(0, 12);
         const ciphertext = encrypted.slice(12);  // Includes tag at the end
         
+        const params = {
+            name: 'AES-GCM',
+            iv: iv
+        };
+        if (additionalData !== null) {
+            params.additionalData = new TextEncoder().encode(additionalData);
+        }
         const decrypted = await crypto.subtle.decrypt(
-            {
-                name: 'AES-GCM',
-                iv: iv
-            },
+            params,
             key,
             ciphertext
         );
@@ -70,482 +233,1197 @@ async function decryptValue(encryptedBase64, key) {
         return JSON.parse(decryptedText);
     } catch (error) {
         console.error('❌ Decryption failed:', error);
-        throw new Error('Failed to decrypt data. Invalid key or corrupted data.');
+        const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+        throw new errors.DecryptionError('Failed to decrypt data. Invalid key or corrupted data.', { cause: error });
     }
 }
 
 /**
  * Decrypt sensitive fields in dashboard data
+ * Decrypts every encrypted node up front - prefer getDecryptingView() when only part of the
+ * snapshot is needed.
  * @param {Object} data - Encrypted dashboard data
- * @param {string} password - Decryption password/key
+ * @param {string|Object} password - Decryption password/key, or a key set from unlockKeys()
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - ({ phase, done, total }) => void, see DecryptionService
  * @returns {Promise<Object>} - Decrypted data
  */
-async function decryptSensitiveFields(data, password) {
+async function decryptSensitiveFields(data, password, options = {}) {
     if (!data._encryption) {
         console.warn('⚠️  No encryption metadata found, data may not be encrypted');
         return data;
     }
     
-    const encMeta = data._encryption;
+    // Unlock a key set first so the view (and its cache entry) never holds the password
+    const keySet = password?.type === 'keyset'
+        ? password
+        : await DecryptionService.shared().unlockKeys(data._encryption, password);
     
-    // Derive decryption key
-    const key = await deriveKeyFromPassword(
-        password,
-        encMeta.salt,
-        encMeta.iterations || 100000
-    );
+    // Every top-level key holding an encrypted node, wherever it sits inside it
+    const sections = Object.keys(data).filter(key => key !== '_encryption' && containsEncryptedNode(data[key]));
+    const view = getDecryptingView(data, keySet);
+    const decrypted = { ...data };
     
-    const decrypted = JSON.parse(JSON.stringify(data)); // Deep copy
+    // Decrypt the top-level nodes as one batch, then nested nodes as they are reached
+    await view.prefetch(sections.map(key => [key]), options);
     
-    // Decrypt ALL encrypted fields recursively
-    async function decryptDataStructure(obj) {
-        if (obj === null || obj === undefined) {
-            return obj;
+    // Decrypt ALL encrypted fields recursively (view.get() decrypts nested nodes too)
+    for (const key of sections) {
+        console.log(`🔓 Decrypting ${key} data`);
+        decrypted[key] = await view.get([key]);
+    }
+    
+    return decrypted;
+}
+
+/**
+ * True if a value is, or contains, an encrypted node
+ * @private
+ */
+function containsEncryptedNode(value) {
+    if (DecryptingView.isEncryptedNode(value)) {
+        return true;
+    }
+    return !!value && typeof value === 'object' && Object.values(value).some(containsEncryptedNode);
+}
+
+// Storage key for the remembered key set (IndexedDB); older versions kept the password
+// itself under this key in sessionStorage
+const DECRYPTION_KEY_STORAGE_KEY = 'maps_dashboard_decryption_key';
+
+// Derived keys by salt/iterations/password digest, so decrypting single nodes doesn't repeat PBKDF2
+// (keyed by a SHA-256 digest so the password itself isn't kept in memory)
+const derivedKeyCache = new Map();
+
+// Unlocked keyrings by wrapped keys/password digest -> Promise of Map(key_id -> data key)
+const unlockedKeyrings = new Map();
+
+/**
+ * Forget every derived and unwrapped key
+ */
+function clearDerivedKeys() {
+    derivedKeyCache.clear();
+    unlockedKeyrings.clear();
+}
+
+/**
+ * Derived key for an envelope or keyring slot (cached)
+ * @param {Object} encryption - Snapshot _encryption metadata
+ * @param {string} password - Decryption password/key
+ * @param {Object} slot - Keyring entry to derive the slot key for (default: the envelope key)
+ * @returns {Promise<CryptoKey>}
+ */
+async function getDerivedKey(encryption, password, slot = null) {
+    const settings = keyDerivationSettings(encryption, slot);
+    const cacheKey = `${settings.id}:${await passwordDigest(password)}`;
+    if (!derivedKeyCache.has(cacheKey)) {
+        const pending = deriveKeyFromPassword(password, settings);
+        pending.catch(() => derivedKeyCache.delete(cacheKey));
+        derivedKeyCache.set(cacheKey, pending);
+    }
+    return derivedKeyCache.get(cacheKey);
+}
+
+/**
+ * Unwrap the data keys this password has a slot for (cached)
+ * @param {Object} encryption - Snapshot _encryption metadata with a keyring of
+ *                              { key_id, slot, salt, iterations, wrapped_key } entries
+ * @param {string} password - Decryption password/key
+ * @returns {Promise<Map<string, CryptoKey>>} Data keys by key_id
+ */
+async function unlockKeyring(encryption, password) {
+    const keyring = encryption.keyring;
+    const cacheKey = `${keyring.map(entry => entry.wrapped_key).join(',')}:${await passwordDigest(password)}`;
+    if (!unlockedKeyrings.has(cacheKey)) {
+        const pending = unwrapKeyring(encryption, password, entry => getDerivedKey(encryption, password, entry));
+        pending.catch(() => unlockedKeyrings.delete(cacheKey));
+        unlockedKeyrings.set(cacheKey, pending);
+    }
+    return unlockedKeyrings.get(cacheKey);
+}
+
+/**
+ * Hex SHA-256 digest of a password, used as its cache key
+ * @private
+ */
+async function passwordDigest(password) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(password)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Unwrap the data keys this password has a slot for
+ * @private
+ */
+async function unwrapKeyring(encryption, password, deriveSlotKey) {
+    const cipher = CIPHERS[encryption.algorithm || 'aes-256-gcm'];
+    const keys = new Map();
+    for (const entry of encryption.keyring) {
+        if (keys.has(entry.key_id)) {
+            continue; // Another slot already opened this key
         }
-        
-        // Check if this entire object is encrypted
-        if (typeof obj === 'object' && obj._encrypted && obj._data) {
-            return await decryptValue(obj._data, key);
+        const slotKey = await deriveSlotKey(entry);
+        const wrapped = base64ToBytes(entry.wrapped_key);
+        let raw;
+        try {
+            raw = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: wrapped.slice(0, 12) }, slotKey, wrapped.slice(12));
+        } catch (e) {
+            continue; // Slot belongs to a different password
         }
-        
-        // Otherwise, decrypt fields within the object
-        if (Array.isArray(obj)) {
-            return await Promise.all(obj.map(item => decryptDataStructure(item)));
+        keys.set(entry.key_id, await crypto.subtle.importKey('raw', raw, cipher, false, ['decrypt']));
+    }
+    return keys;
+}
+
+/**
+ * Unlock an envelope's keys from a password, so the password itself needn't be kept
+ * Keys are non-extractable CryptoKeys and nothing here is cached, so no copy of the
+ * password outlives the call.
+ * @param {Object} encryption - Snapshot _encryption metadata
+ * @param {string} password - Decryption password/key
+ * @returns {Promise<Object>} Key set: { type: 'keyset', fingerprint, keys: { [key_id]: CryptoKey } }
+ *                            (single-key envelopes use key_id '')
+ */
+async function unlockKeys(encryption, password) {
+    let keys;
+    if (Array.isArray(encryption.keyring)) {
+        keys = await unwrapKeyring(encryption, password,
+            entry => deriveKeyFromPassword(password, keyDerivationSettings(encryption, entry)));
+    } else {
+        keys = new Map([['', await deriveKeyFromPassword(password, keyDerivationSettings(encryption))]]);
+    }
+    return { type: 'keyset', fingerprint: envelopeFingerprint(encryption), keys: Object.fromEntries(keys) };
+}
+
+/**
+ * Identify the keys an envelope needs (a remembered key set only fits a matching envelope)
+ * @param {Object} encryption - Snapshot _encryption metadata
+ * @returns {string}
+ */
+function envelopeFingerprint(encryption) {
+    if (Array.isArray(encryption.keyring)) {
+        return 'keyring:' + [...new Set(encryption.keyring.map(entry => entry.key_id))].sort().join(',');
+    }
+    return keyDerivationSettings(encryption).id;
+}
+
+/**
+ * Key for decrypting a node, from either envelope format (see the module comment)
+ * @param {Object} encryption - Snapshot _encryption metadata
+ * @param {string|Object} secret - Decryption password/key, or a key set from unlockKeys()
+ * @param {string|null} keyId - The node's _key_id (keyring envelopes)
+ * @returns {Promise<CryptoKey>}
+ */
+async function getNodeKey(encryption, secret, keyId) {
+    const keyring = Array.isArray(encryption.keyring);
+    let keys;
+    if (typeof secret === 'object' && secret?.type === 'keyset') {
+        keys = new Map(secret.fingerprint === envelopeFingerprint(encryption) ? Object.entries(secret.keys) : []);
+    } else if (!keyring) {
+        return await getDerivedKey(encryption, secret);
+    } else {
+        keys = await unlockKeyring(encryption, secret);
+    }
+    const id = keyring ? keyId ?? encryption.active_key_id : '';
+    if (!keys.has(id)) {
+        const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+        throw new errors.DecryptionError(
+            keys.size > 0
+                ? `No password slot for key '${id}' opens with this password`
+                : 'Failed to decrypt data. Invalid key or corrupted data.',
+            { keyId: id }
+        );
+    }
+    return keys.get(id);
+}
+
+/**
+ * Decryption service - decrypts snapshot nodes in a Web Worker
+ *
+ * The worker derives the key (or unlocks a key set, see unlockKeys()), decrypts and parses
+ * each node, and reports progress with messages; ciphertext is transferred to it, not copied. Without Worker support (or if
+ * the worker fails to load) the same work runs on the main thread.
+ *
+ * Progress callbacks receive { phase, done, total }: phase 'key' once the key is derived,
+ * then 'decrypt' after each node.
+ */
+class DecryptionService {
+    /**
+     * @param {Object} options
+     * @param {string} options.workerUrl - Worker script (default: decrypt-worker.js next to decrypt.js)
+     * @param {boolean} options.useWorker - false to always decrypt on the main thread (default: true)
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || DecryptionService._defaultWorkerUrl();
+        this.useWorker = options.useWorker !== false && typeof Worker !== 'undefined' && !!this.workerUrl;
+        this._worker = null;
+        this._pending = new Map(); // Request id -> { resolve, reject, request }
+        this._nextId = 1;
+    }
+    
+    /**
+     * Page-wide service used by decryptSensitiveFields/loadDecryptedDashboard
+     * @returns {DecryptionService}
+     */
+    static shared() {
+        if (!DecryptionService._shared) {
+            DecryptionService._shared = new DecryptionService();
         }
-        
-        if (typeof obj === 'object') {
-            const decryptedObj = {};
-            for (const [fieldKey, fieldValue] of Object.entries(obj)) {
-                // Skip encryption metadata
-                if (fieldKey === '_encryption' || fieldKey === '_encrypted' || fieldKey === '_data') {
-                    continue;
-                }
-                
-                // Recursively decrypt nested structures
-                decryptedObj[fieldKey] = await decryptDataStructure(fieldValue);
-            }
-            return decryptedObj;
+        return DecryptionService._shared;
+    }
+    
+    /**
+     * Unlock an envelope's keys from a password (see unlockKeys())
+     * @param {Object} encryption - Snapshot _encryption metadata
+     * @param {string} password - Decryption password/key
+     * @returns {Promise<Object>} Key set
+     */
+    unlockKeys(encryption, password) {
+        return this._send({ type: 'unlock', encryption, password }, []);
+    }
+    
+    /**
+     * Decrypt encrypted nodes as one batch
+     * @param {Array<Object>} nodes - { _encrypted, _data } nodes
+     * @param {Object} encryption - Snapshot _encryption metadata
+     * @param {string|Object} secret - Decryption password/key, or a key set from unlockKeys()
+     * @param {Object} options
+     * @param {Function} options.onProgress - ({ phase, done, total }) => void
+     * @param {Array<string>} options.additionalData - Each node's AAD (version 2 envelopes)
+     * @returns {Promise<Array<any>>} Decrypted values, in node order
+     *
+     * A node that fails to decrypt rejects the batch with a DecryptionError whose `index` is the node's.
+     */
+    decryptNodes(nodes, encryption, secret, options = {}) {
+        const additionalData = options.additionalData || nodes.map(() => null);
+        return this._send({ type: 'decrypt', nodes, encryption, secret, additionalData, onProgress: options.onProgress }, nodes);
+    }
+    
+    /**
+     * Forget derived keys (main thread and worker)
+     */
+    clearKeys() {
+        clearDerivedKeys();
+        this._worker?.postMessage({ type: 'clear' });
+    }
+    
+    /**
+     * Stop the worker (pending requests finish on the main thread); the next request starts a new one
+     */
+    terminate() {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+            this._fallBack();
+        }
+    }
+    
+    static _defaultWorkerUrl() {
+        return DECRYPT_SCRIPT_URL ? new URL('decrypt-worker.js', DECRYPT_SCRIPT_URL).href : null;
+    }
+    
+    /**
+     * Run a request in the worker, or on the main thread without one
+     * @private
+     */
+    _send(request, nodes) {
+        const worker = this._getWorker();
+        if (!worker) {
+            return this._runOnMainThread(request);
         }
         
-        // Primitive values (strings, numbers, booleans) are returned as-is
-        return obj;
+        return new Promise((resolve, reject) => {
+            const id = this._nextId++;
+            this._pending.set(id, { resolve, reject, request });
+            const buffers = nodes.map(node => base64ToBytes(node._data).buffer);
+            worker.postMessage({
+                id,
+                type: request.type,
+                buffers,
+                keyIds: nodes.map(node => node._key_id ?? null),
+                additionalData: request.additionalData,
+                encryption: request.encryption,
+                secret: request.secret ?? request.password
+            }, buffers);
+        });
     }
     
-    // Decrypt metrics structure
-    if (decrypted.metrics) {
-        console.log('🔓 Decrypting metrics data');
-        decrypted.metrics = await decryptDataStructure(decrypted.metrics);
+    /**
+     * @private
+     */
+    _getWorker() {
+        if (!this.useWorker) {
+            return null;
+        }
+        if (!this._worker) {
+            try {
+                this._worker = new Worker(this.workerUrl);
+            } catch (e) {
+                console.warn('⚠️ Decryption worker unavailable, decrypting on the main thread:', e.message);
+                this.useWorker = false;
+                return null;
+            }
+            this._worker.onmessage = event => this._onMessage(event.data);
+            this._worker.onerror = event => {
+                event.preventDefault?.();
+                console.warn('⚠️ Decryption worker failed, decrypting on the main thread:', event.message);
+                this.useWorker = false;
+                this.terminate();
+            };
+        }
+        return this._worker;
     }
     
-    // Decrypt crema data if present
-    if (decrypted.crema) {
-        console.log('🔓 Decrypting crema data');
-        decrypted.crema = await decryptDataStructure(decrypted.crema);
+    /**
+     * @private
+     */
+    _onMessage(message) {
+        const pending = this._pending.get(message.id);
+        if (!pending) {
+            return;
+        }
+        if (message.type === 'progress') {
+            const { phase, done, total } = message;
+            pending.request.onProgress?.({ phase, done, total });
+            return;
+        }
+        
+        this._pending.delete(message.id);
+        if (message.type === 'result') {
+            pending.resolve(message.values);
+        } else {
+            // Errors are sent as plain objects - rebuild the typed error
+            const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+            const { name, code, message: errorMessage, reason, keyId, index } = message.error;
+            pending.reject(code === 'DECRYPTION_FAILED'
+                ? new errors.DecryptionError(errorMessage, { reason, keyId, index })
+                : Object.assign(new Error(errorMessage), { name, code }));
+        }
     }
     
-    // Decrypt other top-level structures
-    for (const key of ['source_targets', 'all_metrics_data']) {
-        if (decrypted[key]) {
-            decrypted[key] = await decryptDataStructure(decrypted[key]);
+    /**
+     * Finish pending worker requests on the main thread
+     * @private
+     */
+    _fallBack() {
+        const pending = [...this._pending.values()];
+        this._pending.clear();
+        for (const { resolve, reject, request } of pending) {
+            this._runOnMainThread(request).then(resolve, reject);
         }
     }
     
-    return decrypted;
+    /**
+     * @private
+     */
+    async _runOnMainThread({ type, nodes, encryption, secret, password, additionalData, onProgress }) {
+        if (type === 'unlock') {
+            return await unlockKeys(encryption, password);
+        }
+        const keys = await Promise.all(nodes.map(node => getNodeKey(encryption, secret, node._key_id ?? null)));
+        onProgress?.({ phase: 'key', done: 0, total: nodes.length });
+        const values = [];
+        for (const [index, node] of nodes.entries()) {
+            try {
+                values.push(await decryptValue(node._data, keys[index], additionalData[index]));
+            } catch (error) {
+                error.index = index;
+                throw error;
+            }
+            onProgress?.({ phase: 'decrypt', done: values.length, total: nodes.length });
+        }
+        return values;
+    }
 }
 
+// Decrypting views by snapshot, then password or key set (dropped with the snapshot)
+let decryptingViews = new WeakMap();
+
 /**
- * Show password dialog modal
- * @returns {Promise<string|null>} - Password entered by user, or null if cancelled
- */
-function showPasswordDialog() {
-    return new Promise((resolve) => {
-        // Create modal overlay
-        const overlay = document.createElement('div');
-        overlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(0, 0, 0, 0.7);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 10000;
-            font-family: Poppins, sans-serif;
-        `;
-        
-        // Create modal dialog
-        const dialog = document.createElement('div');
-        dialog.style.cssText = `
-            background: #FFFFFF;
-            border-radius: 12px;
-            padding: 0;
-            max-width: 450px;
-            width: 90%;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            animation: fadeIn 0.2s ease-out;
-            overflow: hidden;
-        `;
-        
-        // Add fade-in animation
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes fadeIn {
-                from { opacity: 0; transform: scale(0.95); }
-                to { opacity: 1; transform: scale(1); }
+ * On-demand decrypting view over an encrypted snapshot
+ * Each { _encrypted, _data } node is decrypted the first time it is read and memoized, so
+ * reading one time range decrypts only that range. decryptNode() results are shared
+ * between readers - treat them as read-only.
+ */
+class DecryptingView {
+    /**
+     * @param {Object} snapshot - Encrypted dashboard data (with _encryption metadata)
+     * @param {string|Object} secret - Decryption password/key, or a key set from unlockKeys()
+     * @param {DecryptionService} service - Does the decrypting (default: DecryptionService.shared())
+     */
+    constructor(snapshot, secret, service = DecryptionService.shared()) {
+        this.snapshot = snapshot;
+        this._secret = secret;
+        this._service = service;
+        this._nodes = new WeakMap(); // Encrypted node -> Promise of its decrypted value
+        this._paths = new WeakMap(); // Encrypted node -> path segments (for AAD)
+        this._header = null; // Promise - header check (version 2 envelopes)
+        this._registerPaths(snapshot, []);
+    }
+    
+    /**
+     * Whether nodes are bound to their path and the snapshot metadata (version 2 envelopes)
+     * @returns {boolean}
+     */
+    get authenticated() {
+        return (this.snapshot._encryption?.version || 1) >= 2;
+    }
+    
+    /**
+     * Check whether a value is an encrypted node
+     * @param {any} value
+     * @returns {boolean}
+     */
+    static isEncryptedNode(value) {
+        return !!value && typeof value === 'object' && !!value._encrypted && !!value._data;
+    }
+    
+    /**
+     * Read a value, decrypting only the nodes on the way to it and inside it
+     * @param {string|Array<string>} path - Dotted path ('metrics.this_year') or path segments
+     * @returns {Promise<any>} Decrypted value, or undefined if the path doesn't exist
+     */
+    async get(path = []) {
+        const segments = typeof path === 'string' ? path.split('.').filter(Boolean) : path;
+        let value = this.snapshot;
+        for (const segment of segments) {
+            value = await this._open(value);
+            if (value === null || typeof value !== 'object' || !(segment in value)) {
+                return undefined;
             }
-        `;
-        document.head.appendChild(style);
-        
-        // Create header with Kandaq branding
-        const header = document.createElement('div');
-        header.style.cssText = `
-            background: linear-gradient(135deg, #A51D35 0%, #8B1A2E 100%);
-            padding: 24px 32px;
-            display: flex;
-            align-items: center;
-            gap: 16px;
-            color: #FFFFFF;
-        `;
-        
-        // Create security icon
-        const securityIcon = document.createElement('div');
-        securityIcon.innerHTML = '<i class="fas fa-shield-alt" style="font-size: 32px; color: #FFFFFF;"></i>';
-        securityIcon.style.cssText = `
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            width: 56px;
-            height: 56px;
-            background: rgba(255, 255, 255, 0.2);
-            border-radius: 12px;
-            flex-shrink: 0;
-        `;
-        
-        // Create header text container
-        const headerText = document.createElement('div');
-        headerText.style.cssText = `
-            flex: 1;
-        `;
-        
-        // Create Kandaq brand name
-        const brandName = document.createElement('div');
-        brandName.textContent = 'Kandaq';
-        brandName.style.cssText = `
-            font-size: 20px;
-            font-weight: 700;
-            margin-bottom: 4px;
-            letter-spacing: 0.5px;
-        `;
-        
-        // Create subtitle
-        const subtitle = document.createElement('div');
-        subtitle.textContent = 'Secure Data Access';
-        subtitle.style.cssText = `
-            font-size: 13px;
-            opacity: 0.9;
-            font-weight: 400;
-        `;
-        
-        headerText.appendChild(brandName);
-        headerText.appendChild(subtitle);
-        header.appendChild(securityIcon);
-        header.appendChild(headerText);
-        
-        // Create content container
-        const content = document.createElement('div');
-        content.style.cssText = `
-            padding: 32px;
-        `;
-        
-        // Create title
-        const title = document.createElement('h2');
-        title.textContent = 'Decryption Required';
-        title.style.cssText = `
-            margin: 0 0 12px 0;
-            color: #111827;
-            font-size: 22px;
-            font-weight: 600;
-        `;
-        
-        // Create description
-        const desc = document.createElement('p');
-        desc.textContent = 'Enter your password to decrypt and access the dashboard data.';
-        desc.style.cssText = `
-            margin: 0 0 24px 0;
-            color: #6B7280;
-            font-size: 14px;
-            line-height: 1.5;
-        `;
-        
-        // Create password input with icon
-        const inputWrapper = document.createElement('div');
-        inputWrapper.style.cssText = `
-            position: relative;
-            margin-bottom: 24px;
-        `;
-        
-        const inputIcon = document.createElement('div');
-        inputIcon.innerHTML = '<i class="fas fa-lock" style="color: #9CA3AF;"></i>';
-        inputIcon.style.cssText = `
-            position: absolute;
-            left: 16px;
-            top: 50%;
-            transform: translateY(-50%);
-            pointer-events: none;
-            z-index: 1;
-        `;
-        
-        const input = document.createElement('input');
-        input.type = 'password';
-        input.placeholder = 'Enter password';
-        input.autocomplete = 'current-password';
-        input.style.cssText = `
-            width: 100%;
-            padding: 12px 16px 12px 48px;
-            border: 2px solid #E5E7EB;
-            border-radius: 8px;
-            font-size: 16px;
-            font-family: Poppins, sans-serif;
-            box-sizing: border-box;
-            transition: all 0.2s;
-        `;
-        input.addEventListener('focus', () => {
-            input.style.borderColor = '#A51D35';
-            input.style.boxShadow = '0 0 0 3px rgba(165, 29, 53, 0.1)';
-            inputIcon.innerHTML = '<i class="fas fa-lock" style="color: #A51D35;"></i>';
-        });
-        input.addEventListener('blur', () => {
-            input.style.borderColor = '#E5E7EB';
-            input.style.boxShadow = 'none';
-            inputIcon.innerHTML = '<i class="fas fa-lock" style="color: #9CA3AF;"></i>';
-        });
-        
-        inputWrapper.appendChild(inputIcon);
-        inputWrapper.appendChild(input);
-        
-        // Create button container
-        const buttonContainer = document.createElement('div');
-        buttonContainer.style.cssText = `
-            display: flex;
-            gap: 12px;
-            justify-content: flex-end;
-        `;
-        
-        // Create cancel button
-        const cancelBtn = document.createElement('button');
-        cancelBtn.textContent = 'Cancel';
-        cancelBtn.style.cssText = `
-            padding: 10px 20px;
-            border: 2px solid #E5E7EB;
-            border-radius: 8px;
-            background: #FFFFFF;
-            color: #374151;
-            font-size: 14px;
-            font-weight: 500;
-            cursor: pointer;
-            font-family: Poppins, sans-serif;
-            transition: all 0.2s;
-        `;
-        cancelBtn.addEventListener('mouseenter', () => {
-            cancelBtn.style.backgroundColor = '#F9FAFB';
-            cancelBtn.style.borderColor = '#D1D5DB';
-        });
-        cancelBtn.addEventListener('mouseleave', () => {
-            cancelBtn.style.backgroundColor = '#FFFFFF';
-            cancelBtn.style.borderColor = '#E5E7EB';
-        });
-        cancelBtn.addEventListener('click', () => {
-            document.body.removeChild(overlay);
-            resolve(null);
-        });
-        
-        // Create submit button
-        const submitBtn = document.createElement('button');
-        submitBtn.textContent = 'Decrypt';
-        submitBtn.style.cssText = `
-            padding: 10px 20px;
-            border: none;
-            border-radius: 8px;
-            background: #A51D35;
-            color: #FFFFFF;
-            font-size: 14px;
-            font-weight: 500;
-            cursor: pointer;
-            font-family: Poppins, sans-serif;
-            transition: all 0.2s;
-        `;
-        submitBtn.addEventListener('mouseenter', () => {
-            submitBtn.style.backgroundColor = '#8B1A2E';
-        });
-        submitBtn.addEventListener('mouseleave', () => {
-            submitBtn.style.backgroundColor = '#A51D35';
-        });
-        
-        const handleSubmit = () => {
-            const password = input.value.trim();
-            if (password) {
-                document.body.removeChild(overlay);
-                resolve(password);
+            value = value[segment];
+        }
+        return await this._resolve(value);
+    }
+    
+    /**
+     * Keys of the object at a path (decrypts the object itself if it is one encrypted node)
+     * @param {string|Array<string>} path
+     * @returns {Promise<Array<string>>}
+     */
+    async keys(path = []) {
+        const segments = typeof path === 'string' ? path.split('.').filter(Boolean) : path;
+        let value = this.snapshot;
+        for (const segment of segments) {
+            value = await this._open(value);
+            value = value && typeof value === 'object' ? value[segment] : undefined;
+        }
+        value = await this._open(value);
+        return value && typeof value === 'object' ? Object.keys(value) : [];
+    }
+    
+    /**
+     * Decrypt one encrypted node (memoized)
+     * @param {Object} node - { _encrypted, _data }
+     * @returns {Promise<any>} Decrypted value
+     */
+    async decryptNode(node) {
+        const [value] = await this.decryptNodes([node]);
+        return value;
+    }
+    
+    /**
+     * Decrypt encrypted nodes (memoized); nodes not decrypted yet go to the service as one batch
+     * @param {Array<Object>} nodes - { _encrypted, _data } nodes
+     * @param {Object} options
+     * @param {Function} options.onProgress - ({ phase, done, total }) => void, for the new batch
+     * @returns {Promise<Array<any>>} Decrypted values, in node order
+     */
+    decryptNodes(nodes, options = {}) {
+        const missing = [...new Set(nodes)].filter(node => !this._nodes.has(node));
+        if (missing.length > 0) {
+            const batch = this._verifyHeader()
+                .then(() => this._service.decryptNodes(missing, this.snapshot._encryption, this._secret, {
+                    ...options,
+                    additionalData: this.authenticated ? missing.map(node => this._additionalData(node)) : null
+                }).catch(error => {
+                    throw this._integrityError(error, missing);
+                }));
+            missing.forEach((node, index) => {
+                const pending = batch.then(values => {
+                    // Nodes nested in the value are bound to paths below this one
+                    this._registerPaths(values[index], this._paths.get(node) || []);
+                    return values[index];
+                });
+                // Failed nodes can be retried (e.g. after re-entering the password)
+                pending.catch(() => this._nodes.delete(node));
+                this._nodes.set(node, pending);
+            });
+        }
+        return Promise.all(nodes.map(node => this._nodes.get(node)));
+    }
+    
+    /**
+     * Check the password by decrypting as little as possible: the authenticated header
+     * (version 2), else `_encryption.key_check`, else the smallest encrypted node
+     * @returns {Promise<boolean>} false if the password is wrong (other errors, such as an
+     *                              unsupported envelope, reject)
+     */
+    async verify() {
+        try {
+            if (this.authenticated) {
+                await this._verifyHeader();
             } else {
-                input.style.borderColor = '#EF4444';
-                input.focus();
+                const node = this.snapshot._encryption?.key_check || this._smallestNode();
+                if (node) {
+                    await this.decryptNode(node);
+                }
+            }
+            return true;
+        } catch (error) {
+            if (error.code === 'DECRYPTION_FAILED' && error.reason === 'failed') {
+                return false;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Decrypt the encrypted nodes under some paths as one batch (for a single progress stream)
+     * Nodes nested inside decrypted values are decrypted later, when get() reaches them.
+     * @param {Array<string|Array<string>>} paths - Paths to prefetch
+     * @param {Object} options - Same as decryptNodes()
+     * @returns {Promise<void>}
+     */
+    async prefetch(paths, options = {}) {
+        const nodes = [];
+        const collect = value => {
+            if (DecryptingView.isEncryptedNode(value)) {
+                nodes.push(value);
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(collect);
             }
         };
-        
-        submitBtn.addEventListener('click', handleSubmit);
-        
-        // Handle Enter key
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                handleSubmit();
-            } else if (e.key === 'Escape') {
-                document.body.removeChild(overlay);
-                resolve(null);
+        for (const path of paths) {
+            const segments = typeof path === 'string' ? path.split('.').filter(Boolean) : path;
+            let value = this.snapshot;
+            for (const segment of segments) {
+                // Stop at an encrypted node - the rest of the path is inside it
+                if (DecryptingView.isEncryptedNode(value) || value === null || typeof value !== 'object') {
+                    break;
+                }
+                value = value[segment];
             }
-        });
-        
-        // Handle overlay click (close on outside click)
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) {
-                document.body.removeChild(overlay);
-                resolve(null);
+            collect(value);
+        }
+        await this.decryptNodes(nodes, options);
+    }
+    
+    /**
+     * Check the authenticated header against the plaintext metadata (once per view)
+     * @private
+     */
+    _verifyHeader() {
+        if (!this.authenticated) {
+            return Promise.resolve();
+        }
+        if (!this._header) {
+            this._header = (async () => {
+                const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+                const header = this.snapshot._encryption.header;
+                if (!DecryptingView.isEncryptedNode(header)) {
+                    throw new errors.IntegrityError('Snapshot is missing its authenticated header', { path: HEADER_PATH });
+                }
+                // A failure here means the wrong password (DecryptionError), not tampering
+                const [values] = await this._service.decryptNodes([header], this.snapshot._encryption, this._secret, {
+                    additionalData: [snapshotAdditionalData(null, HEADER_PATH)]
+                });
+                for (const field of AUTHENTICATED_FIELDS) {
+                    if ((values?.[field] ?? null) !== (this.snapshot[field] ?? null)) {
+                        throw new errors.IntegrityError(
+                            `Snapshot metadata '${field}' does not match its authenticated header - the file was modified`,
+                            { path: HEADER_PATH, field }
+                        );
+                    }
+                }
+            })();
+            this._header.catch(() => {
+                this._header = null;
+            });
+        }
+        return this._header;
+    }
+    
+    /**
+     * @private
+     */
+    _additionalData(node) {
+        const segments = this._paths.get(node);
+        if (!segments) {
+            const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+            throw new errors.IntegrityError('Encrypted node is not part of this snapshot');
+        }
+        return snapshotAdditionalData(this.snapshot, segments.join('.'));
+    }
+    
+    /**
+     * Once the header has checked out, a node that won't decrypt was modified or moved
+     * @private
+     */
+    _integrityError(error, nodes) {
+        if (!this.authenticated || error.code !== 'DECRYPTION_FAILED' || error.index == null) {
+            return error;
+        }
+        const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+        const path = (this._paths.get(nodes[error.index]) || []).join('.');
+        return new errors.IntegrityError(
+            `Encrypted data at '${path}' failed its integrity check - it was modified or moved`,
+            { path, cause: error }
+        );
+    }
+    
+    /**
+     * @private
+     */
+    _smallestNode() {
+        let smallest = null;
+        const visit = value => {
+            if (DecryptingView.isEncryptedNode(value)) {
+                if (!smallest || value._data.length < smallest._data.length) {
+                    smallest = value;
+                }
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(visit);
             }
-        });
-        
-        // Assemble dialog
-        buttonContainer.appendChild(cancelBtn);
-        buttonContainer.appendChild(submitBtn);
-        content.appendChild(title);
-        content.appendChild(desc);
-        content.appendChild(inputWrapper);
-        content.appendChild(buttonContainer);
-        dialog.appendChild(header);
-        dialog.appendChild(content);
-        overlay.appendChild(dialog);
-        
-        // Add to page
-        document.body.appendChild(overlay);
-        
-        // Focus input
-        setTimeout(() => input.focus(), 100);
-    });
+        };
+        const { _encryption, ...data } = this.snapshot;
+        visit(data);
+        return smallest;
+    }
+    
+    /**
+     * Record the paths of the encrypted nodes inside a value
+     * @private
+     */
+    _registerPaths(value, segments) {
+        if (DecryptingView.isEncryptedNode(value)) {
+            if (!this._paths.has(value)) {
+                this._paths.set(value, segments);
+            }
+        } else if (value && typeof value === 'object') {
+            for (const [fieldKey, fieldValue] of Object.entries(value)) {
+                this._registerPaths(fieldValue, [...segments, fieldKey]);
+            }
+        }
+    }
+    
+    /**
+     * @private
+     */
+    async _open(value) {
+        return DecryptingView.isEncryptedNode(value) ? await this.decryptNode(value) : value;
+    }
+    
+    /**
+     * Fully decrypt a value (nested encrypted nodes included)
+     * @private
+     */
+    async _resolve(value) {
+        if (DecryptingView.isEncryptedNode(value)) {
+            return await this._resolve(await this.decryptNode(value));
+        }
+        if (Array.isArray(value)) {
+            return await Promise.all(value.map(item => this._resolve(item)));
+        }
+        if (value && typeof value === 'object') {
+            const resolved = {};
+            for (const [fieldKey, fieldValue] of Object.entries(value)) {
+                // Skip encryption metadata
+                if (fieldKey === '_encryption' || fieldKey === '_encrypted' || fieldKey === '_data') {
+                    continue;
+                }
+                resolved[fieldKey] = await this._resolve(fieldValue);
+            }
+            return resolved;
+        }
+        // Primitive values (strings, numbers, booleans) are returned as-is
+        return value;
+    }
+}
+
+/**
+ * Get the decrypting view for a snapshot and password or key set (one per pair, so
+ * decrypted nodes are shared by every caller)
+ * @param {Object} snapshot - Encrypted dashboard data
+ * @param {string|Object} secret - Decryption password/key, or a key set from unlockKeys()
+ * @returns {DecryptingView}
+ */
+function getDecryptingView(snapshot, secret) {
+    if (!decryptingViews.has(snapshot)) {
+        decryptingViews.set(snapshot, new Map());
+    }
+    const views = decryptingViews.get(snapshot);
+    if (!views.has(secret)) {
+        views.set(secret, new DecryptingView(snapshot, secret));
+    }
+    return views.get(secret);
 }
 
 /**
- * Get decryption key from various sources
- * Priority: 1) User input, 2) API token, 3) Session storage, 4) Password dialog
+ * Check a password or key set against a snapshot (see DecryptingView.verify())
+ * @param {Object} snapshot - Encrypted dashboard data
+ * @param {string|Object} secret - Password or key set to check
+ * @returns {Promise<boolean>} false if it doesn't decrypt the snapshot
  */
-async function getDecryptionKey() {
-    // Check sessionStorage first - password persists during session but clears on browser close
-    const STORAGE_KEY = 'maps_dashboard_decryption_key';
-    const storedPassword = sessionStorage.getItem(STORAGE_KEY);
-    if (storedPassword) {
-        console.log('🔑 Using stored decryption key from session');
-        return storedPassword;
+async function verifyDecryptionKey(snapshot, secret) {
+    const verified = await getDecryptingView(snapshot, secret).verify();
+    if (!verified) {
+        decryptingViews.get(snapshot)?.delete(secret);
+    }
+    return verified;
+}
+
+/**
+ * Decrypt a single encrypted node ({ _encrypted, _data }) from a snapshot
+ * Used by CremaClient (decryptNode option) to read Crema data and time ranges in cache mode.
+ * @param {Object} node - Node to decrypt (returned as-is if not encrypted)
+ * @param {Object} snapshot - Snapshot the node belongs to (provides _encryption metadata)
+ * @returns {Promise<any>} - Decrypted value
+ */
+async function decryptSnapshotNode(node, snapshot) {
+    if (!node || !node._encrypted || !snapshot?._encryption) {
+        return node;
     }
     
-    // Try to get from API token (if authenticated)
-    const apiToken = localStorage.getItem('api_token') || 
-                     sessionStorage.getItem('api_token');
-    if (apiToken) {
-        // Use token as key (or derive from token)
-        return apiToken;
+    const keySet = await getDecryptionKey(snapshot);
+    if (!keySet) {
+        const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+        throw new errors.DecryptionError('Decryption key required but not provided', { reason: 'missing_key' });
     }
     
-    // Show password dialog - prompt on initial page load
-    const password = await showPasswordDialog();
-    if (password) {
-        // Store in sessionStorage for the duration of the session
-        sessionStorage.setItem(STORAGE_KEY, password);
-        console.log('🔑 Decryption key stored in sessionStorage');
-        return password;
+    return await getDecryptingView(snapshot, keySet).decryptNode(node);
+}
+
+// Password dialog attempts before giving up (override with the maxAttempts/maxPasswordAttempts options)
+const DEFAULT_PASSWORD_ATTEMPTS = 3;
+
+// Key provider chain run in progress (Promise of a key set), shared by concurrent getDecryptionKey() calls
+let pendingKeyResolution = null;
+
+// Where decryption keys come from (see configureKeyProviders())
+let keyProviderChain = null;
+
+// Key set unlocked on this page - the password itself is never kept
+let unlockedKeySet = null;
+
+// Remembered key sets and auto-lock (see configureKeyStorage())
+const keyStorageSettings = {
+    rememberHours: 8, // "Remember on this device" duration, 0 hides the option
+    idleLockMinutes: 15 // Lock after this long without user activity, 0 = never
+};
+let autoLockTimer = null;
+let autoLockListening = false;
+
+/**
+ * Show the password dialog (PasswordDialog, js/password-dialog.js)
+ * With a verify function the dialog stays open until the password checks out: wrong passwords
+ * show an inline message and the user can retry, up to maxAttempts.
+ * @param {Object} options - Options
+ * @param {Function} options.verify - async password => boolean (default: accept any password)
+ * @param {number} options.maxAttempts - Wrong passwords allowed before giving up (default: 3)
+ * @param {number} options.rememberHours - Offer "Remember on this device for N hours" (default: 0 = no)
+ * @param {string} options.hint - Password hint (key_hint) shown on request
+ * @param {string} options.locale - Dialog language (default: the page's lang attribute)
+ * @param {Object} options.strings - Overrides for individual dialog strings
+ * @returns {Promise<Object|null>} - { password, remember } entered by user, or null if cancelled.
+ *                                   Rejects with a DecryptionError after maxAttempts wrong
+ *                                   passwords, or with any error thrown by verify.
+ */
+function showPasswordDialog(options = {}) {
+    const Dialog = typeof PasswordDialog === 'function'
+        ? PasswordDialog
+        : require('./password-dialog.js').PasswordDialog;
+    return new Dialog({ ...options, maxAttempts: options.maxAttempts ?? DEFAULT_PASSWORD_ATTEMPTS }).open();
+}
+
+/**
+ * Get the decryption key for a snapshot
+ * A key already unlocked on this page is reused; otherwise the key provider chain
+ * (configureKeyProviders(), js/key-providers.js) is asked in order and the first key that opens
+ * the snapshot is used. Passwords only unlock a key set (non-extractable CryptoKeys) and are
+ * never stored. Concurrent callers share one chain run (and one password dialog).
+ * @param {Object} snapshot - Encrypted dashboard data the key is for
+ * @param {Object} options - Options
+ * @param {number} options.maxAttempts - Password dialog attempts (default: 3)
+ * @returns {Promise<Object|null>} - Key set (see unlockKeys()), or null if no provider had a key
+ *                                   (e.g. the user cancelled)
+ */
+async function getDecryptionKey(snapshot, options = {}) {
+    // Older versions kept the password itself in sessionStorage - don't leave it there
+    sessionStorage.removeItem(DECRYPTION_KEY_STORAGE_KEY);
+    
+    // Unsupported algorithms and weak KDF settings fail before anyone is asked for a key
+    checkEncryptionSettings(snapshot._encryption);
+    
+    if (unlockedKeySet && await verifyDecryptionKey(snapshot, unlockedKeySet)) {
+        return unlockedKeySet;
     }
     
-    return null;
+    if (!pendingKeyResolution) {
+        pendingKeyResolution = (async () => {
+            const result = await getKeyProviderChain().resolve(keyProviderContext(snapshot, options));
+            if (!result) {
+                console.warn('⚠️ No key provider supplied a decryption key');
+                return null;
+            }
+            console.log(`🔑 Using decryption key from '${result.provider}'`);
+            return useKeySet(result.keySet);
+        })().finally(() => {
+            pendingKeyResolution = null;
+        });
+    }
+    return await pendingKeyResolution;
 }
 
 /**
- * Load and decrypt dashboard data
- * @param {string} timeRange - Time range (e.g., 'this_year')
- * @returns {Promise<Object>} - Decrypted dashboard data
+ * What key providers can use to find and check a key (see js/key-providers.js)
+ * @private
+ */
+function keyProviderContext(snapshot, options) {
+    const encryption = snapshot._encryption;
+    return {
+        snapshot,
+        encryption,
+        unlock: async secret => {
+            const keySet = await DecryptionService.shared().unlockKeys(encryption, secret);
+            return await verifyDecryptionKey(snapshot, keySet) ? keySet : null;
+        },
+        verify: keySet => verifyDecryptionKey(snapshot, keySet),
+        remembered: {
+            load: loadRememberedKeySet,
+            save: keySet => rememberKeySet(keySet, keyStorageSettings.rememberHours),
+            forget: forgetRememberedKeySet
+        },
+        showPasswordDialog,
+        maxAttempts: options.maxAttempts,
+        rememberHours: keyStorageSettings.rememberHours
+    };
+}
+
+/**
+ * Configured key provider chain (the default chain until configureKeyProviders() is called)
+ * @private
+ */
+function getKeyProviderChain() {
+    if (!keyProviderChain) {
+        const providers = typeof KeyProviderChain === 'function'
+            ? { KeyProviderChain, DEFAULT_KEY_PROVIDERS }
+            : require('./key-providers.js');
+        keyProviderChain = new providers.KeyProviderChain(providers.DEFAULT_KEY_PROVIDERS);
+    }
+    return keyProviderChain;
+}
+
+/**
+ * Choose where decryption keys come from
+ * @param {Array} providers - Provider specs in order, e.g. ['fragment', { type: 'tokenExchange', endpoint: '/api/data-key' }, 'dialog']
+ *                            (see createKeyProvider() in js/key-providers.js)
+ * @param {Object} options - Options
+ * @param {Function} options.onOutcome - ({ provider, outcome, detail }) => void, called for each provider asked
+ */
+function configureKeyProviders(providers, options = {}) {
+    const Chain = typeof KeyProviderChain === 'function'
+        ? KeyProviderChain
+        : require('./key-providers.js').KeyProviderChain;
+    keyProviderChain = new Chain(providers, options);
+}
+
+/**
+ * Outcome of every provider asked the last time the chain ran, e.g. to see why a key was chosen
+ * @returns {Array<Object>} - [{ provider, outcome, detail }] (outcome: accepted, rejected, unavailable or error)
+ */
+function getKeyProviderReport() {
+    return keyProviderChain ? keyProviderChain.lastReport.slice() : [];
+}
+
+/**
+ * Use a key set for this page and (re)start the idle auto-lock
+ * @private
+ */
+function useKeySet(keySet) {
+    unlockedKeySet = keySet;
+    startAutoLock();
+    return keySet;
+}
+
+/**
+ * Key storage for remembered key sets (IndexedDB, separate from the data cache)
+ * @private
+ */
+function getKeyStore() {
+    const Storage = typeof IndexedDBCacheStorage === 'function'
+        ? IndexedDBCacheStorage
+        : require('./cache-storage.js').IndexedDBCacheStorage;
+    if (!Storage.isAvailable()) {
+        return null;
+    }
+    return new Storage({ dbName: 'kandaq_dashboard_keys', namespace: 'dashboard' });
+}
+
+/**
+ * Remember a key set on this device (CryptoKeys are stored as-is and stay non-extractable)
+ * @private
  */
-async function loadDecryptedDashboard(timeRange = 'this_year') {
+async function rememberKeySet(keySet, hours) {
+    const store = getKeyStore();
+    if (!store) {
+        return;
+    }
     try {
-        // Load encrypted data file
-        // Resolve path relative to current page location
-        // Handle both local development (/tenants/maps/app/) and production (/maps/) paths
-        let basePath = window.location.pathname;
-        
-        // Remove trailing filename if present (e.g., /maps/index.html -> /maps)
-        basePath = basePath.replace(/\/[^/]+\.html?$/, '');
-        
-        // Handle production deployment path (/maps/)
-        if (basePath.startsWith('/maps') || basePath === '/maps') {
-            basePath = '/maps';
-        }
-        // Handle local development path (/tenants/maps/app/)
-        else if (basePath.includes('/tenants/maps/app')) {
-            basePath = basePath.replace(/\/tenants\/maps\/app.*$/, '/tenants/maps/app');
+        await store.set(DECRYPTION_KEY_STORAGE_KEY, { ...keySet, expiresAt: Date.now() + hours * 3600000 });
+        console.log(`🔑 Decryption key remembered on this device for ${hours}h`);
+    } catch (e) {
+        console.warn('⚠️ Could not remember decryption key:', e.message);
+    }
+}
+
+/**
+ * Remembered key set, unless it has expired
+ * @private
+ */
+async function loadRememberedKeySet() {
+    const store = getKeyStore();
+    if (!store) {
+        return null;
+    }
+    try {
+        const entry = await store.get(DECRYPTION_KEY_STORAGE_KEY);
+        if (!entry) {
+            return null;
         }
-        // Fallback: try to detect from pathname
-        else if (basePath.includes('/app')) {
-            basePath = basePath.replace(/\/app.*$/, '/app');
+        if (!(entry.expiresAt > Date.now())) {
+            await store.delete(DECRYPTION_KEY_STORAGE_KEY);
+            return null;
         }
-        // Default fallback
-        else {
-            basePath = '/maps'; // Default to production path
+        const { expiresAt, ...keySet } = entry;
+        return keySet;
+    } catch (e) {
+        console.warn('⚠️ Could not read remembered decryption key:', e.message);
+        return null;
+    }
+}
+
+/**
+ * @private
+ */
+async function forgetRememberedKeySet() {
+    try {
+        await getKeyStore()?.delete(DECRYPTION_KEY_STORAGE_KEY);
+    } catch (e) {
+        console.warn('⚠️ Could not remove remembered decryption key:', e.message);
+    }
+}
+
+/**
+ * Configure remembered keys and the idle auto-lock
+ * @param {Object} settings
+ * @param {number} settings.rememberHours - "Remember on this device" duration in hours (0 hides the option)
+ * @param {number} settings.idleLockMinutes - Lock after this many idle minutes (0 = never)
+ */
+function configureKeyStorage(settings = {}) {
+    Object.assign(keyStorageSettings, settings);
+    resetAutoLock();
+}
+
+/**
+ * Watch for user activity while a key is unlocked
+ * @private
+ */
+function startAutoLock() {
+    if (typeof document !== 'undefined' && !autoLockListening) {
+        autoLockListening = true;
+        for (const type of ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart']) {
+            document.addEventListener(type, resetAutoLock, { capture: true, passive: true });
         }
-        
-        // Load consolidated dashboard_data.json (contains all time ranges)
-        const dataPath = `${basePath}/data/dashboard_data.json`;
+    }
+    resetAutoLock();
+}
+
+/**
+ * Restart the idle timer (runs on every user activity event)
+ * @private
+ */
+function resetAutoLock() {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    const minutes = keyStorageSettings.idleLockMinutes;
+    if (!unlockedKeySet || !minutes || typeof document === 'undefined') {
+        return;
+    }
+    autoLockTimer = setTimeout(() => {
+        console.log(`🔒 No activity for ${minutes} minutes - locking dashboard`);
+        lockDashboard();
+    }, minutes * 60000);
+}
+
+/**
+ * Forget the decryption key - on this page and on this device (e.g. after a DecryptionError)
+ * The next getDecryptionKey() call prompts again.
+ * @returns {Promise<void>}
+ */
+async function clearStoredDecryptionKey() {
+    unlockedKeySet = null;
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    sessionStorage.removeItem(DECRYPTION_KEY_STORAGE_KEY);
+    DecryptionService.shared().clearKeys();
+    decryptingViews = new WeakMap();
+    await forgetRememberedKeySet();
+}
+
+/**
+ * Lock the dashboard: wipe the key, then reload so decrypted data leaves the page and the
+ * password is asked for again
+ * @param {Object} options - Options
+ * @param {boolean} options.reload - Reload the page (default: true)
+ * @returns {Promise<void>}
+ */
+async function lockDashboard(options = {}) {
+    await clearStoredDecryptionKey();
+    console.log('🔒 Dashboard locked');
+    if (options.reload !== false && typeof location !== 'undefined') {
+        location.reload();
+    }
+}
+
+/**
+ * Load and decrypt dashboard data
+ * @param {string|Object} timeRange - Time range (e.g., 'this_year', 'quarter_2024_Q3', { start, end }; see time-ranges.js)
+ * @param {Object} options - Options
+ * @param {PathResolver} options.paths - Path resolver (default: the page-wide resolver, shared with CremaClient)
+ * @param {boolean} options.includeCrema - Also decrypt the crema node (default: false - CremaClient reads it on demand)
+ * @param {Function} options.onProgress - ({ phase, done, total }) => void, see DecryptionService
+ * @param {number} options.maxPasswordAttempts - Password dialog attempts (default: 3)
+ * @param {Object} options.calendar - Tenant calendar { fiscalYearStartMonth, weekStartDay, timeZone } for preset
+ *                                     and fiscal year dates (e.g. crema.calendar) - see time-ranges.js
+ * @param {number} options.fiscalYearStartMonth - First month of the fiscal year, when no calendar is given (default: 1)
+ * @param {string|Object} options.fallbackPolicy - 'strict', 'broaden' (default) or a custom map - see time-ranges.js
+ * @returns {Promise<Object>} - Decrypted dashboard data
+ *
+ * Only the requested time range is decrypted: `metrics` is that range and `source_targets`
+ * holds just that range's targets, keyed by the range id. Other ranges are decrypted (once) when
+ * they are requested. A range the snapshot doesn't publish is built from the buckets covering it
+ * (see combineRangeData); only those buckets are decrypted. If it can't be built either, the
+ * fallback policy picks a substitute: `requested_range`, `served_range` and `is_fallback` say
+ * which range the data is for, and source_targets is keyed by the served range. The served range's
+ * date_range is checked against the calendar: `expected_date_range` and `date_range_mismatch`.
+ * A range built from buckets also has `composed_from` and `omitted` (values that couldn't be combined,
+ * e.g. 'metrics.net_margin', to be shown as not available).
+ * Range payloads written for an older cache_version are upgraded before they are returned, and
+ * payloads that don't match the schema fail with an InvalidSnapshotError (see snapshot-schema.js).
+ */
+async function loadDecryptedDashboard(timeRange = 'this_year', options = {}) {
+    const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+    try {
+        // Resolve the consolidated dashboard_data.json (contains all time ranges) from the deployment manifest
+        const Resolver = typeof PathResolver === 'function'
+            ? PathResolver
+            : require('./path-resolver.js');
+        const paths = options.paths || Resolver.shared();
+        const dataPath = await paths.resolveDataset('dashboard');
         console.log(`📦 Loading dashboard data from: ${dataPath}`);
-        const response = await fetch(dataPath + `?t=${Date.now()}`, { cache: 'no-store' });
-        if (!response.ok) {
-            throw new Error(`Failed to load dashboard data: ${response.status}`);
-        }
+        // Shared with CremaClient - one download per page, revalidated with ETag/Last-Modified
+        const Manager = typeof SnapshotManager === 'function'
+            ? SnapshotManager
+            : require('./snapshot-manager.js');
+        const encryptedData = await Manager.shared(dataPath).get();
         
-        const encryptedData = await response.json();
+        // Check the range exists before asking for a password - range keys aren't encrypted
+        // Structure: { metrics: { this_year: {...}, month_2025_11: {...}, ... }, crema: {...}, source_targets: {...} }
+        // Ranges the snapshot doesn't publish (quarter_2024_Q3, { start, end }, ...) are built from its buckets,
+        // then the fallback policy applies (same as CremaClient)
+        const ranges = typeof resolveTimeRange === 'function'
+            ? { resolveTimeRange, checkDateRange, combineRangeData, combineRangeValues }
+            : require('./time-ranges.js');
+        const availableRanges = encryptedData.metrics ? Object.keys(encryptedData.metrics) : [];
+        const calendar = { fiscalYearStartMonth: options.fiscalYearStartMonth, ...options.calendar };
+        let resolved;
+        try {
+            resolved = ranges.resolveTimeRange(timeRange, availableRanges, {
+                ...calendar,
+                publishedAt: encryptedData.timestamp || encryptedData.cached_at,
+                fallbackPolicy: options.fallbackPolicy
+            });
+        } catch (e) {
+            if (e.code === 'TIME_RANGE_NOT_FOUND') {
+                console.warn(`⚠️ Time range '${e.timeRange}' not found in consolidated data`);
+                console.warn(`   Available time ranges: ${availableRanges.join(', ')}`);
+            }
+            // Throw so the UI can handle it gracefully
+            throw e;
+        }
+        const plan = resolved.plan;
+        timeRange = plan.id;
         
         // Check if data is encrypted
-        let data = encryptedData;
+        let view = null;
         if (encryptedData._encryption) {
-            // Get decryption key
-            const key = await getDecryptionKey();
+            // Get decryption key (checked against the snapshot before it is used)
+            const key = await getDecryptionKey(encryptedData, { maxAttempts: options.maxPasswordAttempts });
             if (!key) {
-                throw new Error('Decryption key required but not provided');
+                throw new errors.DecryptionError('Decryption key required but not provided', { reason: 'missing_key' });
             }
-            
-            // Decrypt
-            data = await decryptSensitiveFields(encryptedData, key);
-            console.log('✅ Dashboard data decrypted successfully');
+            view = getDecryptingView(encryptedData, key);
+            const paths = plan.buckets.flatMap(bucket => [['metrics', bucket], ['source_targets', bucket]]);
+            await view.prefetch(options.includeCrema ? [...paths, ['crema']] : paths, options);
         } else {
             console.log('📦 Data is not encrypted, returning as-is');
         }
         
-        // Extract the specific time range from the consolidated file
-        // Structure: { metrics: { this_year: {...}, this_month: {...}, ... }, crema: {...}, source_targets: {...} }
-        if (data.metrics && data.metrics[timeRange]) {
-            // Return data for the specific time range, preserving other top-level keys
-            return {
-                ...data,
-                metrics: data.metrics[timeRange],
-                // Keep source_targets and crema at top level
-                source_targets: data.source_targets || {},
-                crema: data.crema || {}
-            };
-        } else {
-            // Fallback: try to find a similar time range or return error
-            console.warn(`⚠️ Time range '${timeRange}' not found in consolidated data`);
-            const availableRanges = data.metrics ? Object.keys(data.metrics) : [];
-            console.warn(`   Available time ranges: ${availableRanges.join(', ')}`);
-            
-            // Try to find a fallback (e.g., if 'this_month' not found, try 'month_2025_11')
-            // For now, throw an error so the UI can handle it gracefully
-            throw new Error(`Time range '${timeRange}' not found in cache. Available ranges: ${availableRanges.join(', ')}`);
+        // Extract the specific time range, preserving other top-level keys
+        const read = path => view ? view.get(path) : path.reduce((value, key) => value?.[key], encryptedData);
+        const { metrics, source_targets, crema, ...rest } = encryptedData;
+        // Payloads are upgraded from the snapshot's cache_version and checked once decrypted (snapshot-schema.js)
+        const prepare = typeof prepareRangePayload === 'function'
+            ? prepareRangePayload
+            : require('./snapshot-schema.js').prepareRangePayload;
+        const bucketMetrics = [];
+        const bucketTargets = [];
+        for (const bucket of plan.buckets) {
+            bucketMetrics.push(prepare(await read(['metrics', bucket]), {
+                version: encryptedData.cache_version,
+                path: `metrics.${bucket}`
+            }));
+            bucketTargets.push(await read(['source_targets', bucket]));
+        }
+        const rangeMetrics = ranges.combineRangeData(bucketMetrics, plan);
+        const combinedTargets = bucketTargets.length === 1
+            ? { value: bucketTargets[0], omitted: [] }
+            : ranges.combineRangeValues(bucketTargets);
+        const rangeTargets = combinedTargets.value;
+        if (view) {
+            console.log(`✅ Dashboard data decrypted successfully (${timeRange})`);
+        }
+        if (plan.buckets.length > 1) {
+            console.log(`📦 Built '${timeRange}' from ${plan.buckets.length} cached periods: ${plan.buckets.join(', ')}`);
         }
+        const dates = ranges.checkDateRange(timeRange, rangeMetrics?.date_range, calendar);
+        if (dates.matches === false) {
+            console.warn(`⚠️ Data for '${timeRange}' covers ${rangeMetrics.date_range.start} - ${rangeMetrics.date_range.end}, expected ${dates.expected.start} - ${dates.expected.end}`);
+        }
+        
+        const data = {
+            ...rest,
+            requested_range: resolved.requested_range,
+            served_range: resolved.served_range,
+            is_fallback: resolved.is_fallback,
+            expected_date_range: dates.expected,
+            date_range_mismatch: dates.matches === false,
+            metrics: rangeMetrics,
+            source_targets: rangeTargets !== undefined ? { [timeRange]: rangeTargets } : {},
+            // Built from other published ranges: what couldn't be combined (see combineRangeData)
+            ...(plan.buckets.length > 1 || plan.buckets[0] !== plan.id ? {
+                composed_from: plan.buckets,
+                omitted: [
+                    ...(rangeMetrics.omitted || []),
+                    ...combinedTargets.omitted.map(path => `source_targets${path ? `.${path}` : ''}`)
+                ]
+            } : {})
+        };
+        if (options.includeCrema) {
+            data.crema = (await read(['crema'])) || {};
+        }
+        return data;
     } catch (error) {
         console.error('❌ Failed to load/decrypt dashboard:', error);
         throw error;
@@ -556,8 +1434,25 @@ async function loadDecryptedDashboard(timeRange = 'this_year') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         decryptSensitiveFields,
+        snapshotAdditionalData,
+        AUTHENTICATED_FIELDS,
+        DecryptionService,
+        DecryptingView,
+        getDecryptingView,
+        decryptSnapshotNode,
         loadDecryptedDashboard,
-        getDecryptionKey
+        getDecryptionKey,
+        verifyDecryptionKey,
+        unlockKeys,
+        KEY_DERIVATIONS,
+        keyDerivationSettings,
+        checkEncryptionSettings,
+        deriveKeyFromPassword,
+        configureKeyStorage,
+        configureKeyProviders,
+        getKeyProviderReport,
+        lockDashboard,
+        clearStoredDecryptionKey
     };
 }
 
@@ -0,0 +1,172 @@
+/**
+ * Client-Side Data Encryption
+ *
+ * Produces the encrypted dashboard format read by decrypt.js, so fixtures can be made,
+ * files re-keyed and round trips tested without the Python generator.
+ * Uses Web Crypto API (browser, or Node's global crypto).
+ *
+ * Output matches the generator:
+ *   _encryption: { algorithm: 'aes-256-gcm', key_derivation: 'pbkdf2_sha256', iterations, salt, key_hint }
+ *   (key_derivation 'pbkdf2_sha512' also records iterations, 'scrypt' records kdf_params: { n, r, p })
+ *   Encrypted nodes: { _encrypted: true, _data: base64(IV(12 bytes) + ciphertext + tag(16 bytes)) }
+ *   `metrics`, `source_targets` and `all_metrics_data` are encrypted per time range, `crema` as one node.
+ *   key_hint is the first 8 characters of the password followed by '...'.
+ * Version 1 files also get a `key_check` node so a password can be checked without decrypting data.
+ */
+
+// Sections encrypted per key (time range), and sections encrypted whole
+const ENCRYPTED_RANGE_FIELDS = ['metrics', 'source_targets', 'all_metrics_data'];
+const ENCRYPTED_WHOLE_FIELDS = ['crema'];
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * decrypt.js, for the shared format helpers and key derivation
+ * @private
+ */
+function decryptModule() {
+    return typeof keyDerivationSettings === 'function'
+        ? { snapshotAdditionalData, AUTHENTICATED_FIELDS, KEY_DERIVATIONS, keyDerivationSettings, deriveKeyFromPassword }
+        : require('./decrypt.js');
+}
+
+/**
+ * Derive an encryption key from a password with an envelope's KDF (same rules as decrypt.js)
+ * @param {string} password - Password or secret
+ * @param {Object} encryption - Envelope fields: { salt, key_derivation, iterations, kdf_params }
+ * @returns {Promise<CryptoKey>} - Encryption key
+ * @throws {DecryptionError} reason 'unsupported' for settings decrypt.js would refuse
+ */
+async function deriveEncryptionKey(password, encryption) {
+    const { keyDerivationSettings, deriveKeyFromPassword } = decryptModule();
+    return await deriveKeyFromPassword(password, keyDerivationSettings(encryption), ['encrypt']);
+}
+
+/**
+ * Encrypt a value using AES-GCM
+ * @param {any} value - JSON-serializable value
+ * @param {CryptoKey} key - Encryption key
+ * @param {string|null} additionalData - AAD to bind (version 2 envelopes)
+ * @returns {Promise<Object>} - Encrypted node { _encrypted: true, _data }
+ */
+async function encryptValue(value, key, additionalData = null) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const params = {
+        name: 'AES-GCM',
+        iv: iv
+    };
+    if (additionalData !== null) {
+        params.additionalData = new TextEncoder().encode(additionalData);
+    }
+
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        params,
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    ));
+
+    // Format: IV + ciphertext + tag (Web Crypto appends the tag to the ciphertext)
+    const encrypted = new Uint8Array(iv.length + ciphertext.length);
+    encrypted.set(iv);
+    encrypted.set(ciphertext, iv.length);
+    return { _encrypted: true, _data: bytesToBase64(encrypted) };
+}
+
+/**
+ * Encrypt sensitive fields in dashboard data
+ * @param {Object} data - Plaintext dashboard data (as returned by decryptSensitiveFields)
+ * @param {string} password - Encryption password/key
+ * @param {Object} options - Options
+ * @param {string} options.keyDerivation - 'pbkdf2_sha256' (default), 'pbkdf2_sha512' or 'scrypt'
+ * @param {number} options.iterations - PBKDF2 iterations (default: the KDF's default in decrypt.js)
+ * @param {Object} options.kdfParams - scrypt { n, r, p } (default: the KDF's default in decrypt.js)
+ * @param {string} options.salt - Base64-encoded salt (default: 16 random bytes)
+ * @param {string|false} options.keyHint - key_hint to record (default: the convention above, false to omit)
+ * @param {number} options.version - Envelope version: 1 (default) or 2 (binds paths and metadata, see decrypt.js)
+ * @returns {Promise<Object>} - Encrypted data
+ */
+async function encryptSensitiveFields(data, password, options = {}) {
+    if (!password) {
+        throw new Error('Encryption password required');
+    }
+    if (data._encryption) {
+        throw new Error('Data is already encrypted - decrypt it first');
+    }
+
+    const format = decryptModule();
+    const keyDerivation = options.keyDerivation || 'pbkdf2_sha256';
+    const kdf = format.KEY_DERIVATIONS[keyDerivation];
+    const envelope = {
+        algorithm: 'aes-256-gcm',
+        key_derivation: keyDerivation,
+        salt: options.salt || bytesToBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+    if (keyDerivation === 'scrypt') {
+        envelope.kdf_params = { ...kdf.defaultParams, ...options.kdfParams };
+    } else {
+        envelope.iterations = options.iterations || kdf?.defaultIterations;
+    }
+    const version = options.version || 1;
+    // Rejects unknown KDFs and settings too weak for decrypt.js to accept
+    const key = await deriveEncryptionKey(password, envelope);
+
+    const additionalData = path => version >= 2 ? format.snapshotAdditionalData(data, path) : null;
+
+    const encrypted = { ...data };
+    for (const field of ENCRYPTED_RANGE_FIELDS) {
+        if (data[field] && typeof data[field] === 'object') {
+            encrypted[field] = {};
+            for (const [range, value] of Object.entries(data[field])) {
+                encrypted[field][range] = await encryptValue(value, key, additionalData(`${field}.${range}`));
+            }
+        }
+    }
+    for (const field of ENCRYPTED_WHOLE_FIELDS) {
+        if (data[field] !== undefined) {
+            encrypted[field] = await encryptValue(data[field], key, additionalData(field));
+        }
+    }
+
+    encrypted._encryption = envelope;
+    if (options.keyHint !== false) {
+        encrypted._encryption.key_hint = options.keyHint || `${password.slice(0, 8)}...`;
+    }
+    if (version < 2) {
+        encrypted._encryption.key_check = await encryptValue(true, key);
+    } else {
+        // Authenticated header: the metadata values, checked against the plaintext fields on load
+        // (doubles as the password check)
+        const header = {};
+        for (const field of format.AUTHENTICATED_FIELDS) {
+            header[field] = data[field] ?? null;
+        }
+        encrypted._encryption.version = version;
+        encrypted._encryption.header = await encryptValue(
+            header,
+            key,
+            format.snapshotAdditionalData(null, '_encryption.header')
+        );
+    }
+
+    return encrypted;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        encryptSensitiveFields,
+        encryptValue,
+        deriveEncryptionKey
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Crema Errors - typed errors shared by CremaClient, decrypt.js and the dashboard
+ *
+ * Every error carries a stable `code` so the UI can pick a recovery action:
+ *   NETWORK_ERROR         NetworkError            Request failed (offline, timeout, HTTP error)
+ *   AUTH_ERROR            AuthError               API rejected the credentials (401/403)
+ *   CACHE_MISS            CacheMissError          Snapshot file or dataset not published
+ *   INVALID_SNAPSHOT      InvalidSnapshotError    Snapshot unreadable, newer than supported or not matching
+ *                                                 the schema (`problems` lists { path, message })
+ *   TIME_RANGE_NOT_FOUND  TimeRangeNotFoundError  Requested time range not in the snapshot
+ *   DECRYPTION_FAILED     DecryptionError         No key, wrong key or corrupted data
+ *   INTEGRITY_ERROR       IntegrityError          Encrypted data or its metadata was modified or moved
+ *
+ * Check with instanceof or compare `error.code` (codes survive postMessage/serialization).
+ */
+
+class CremaError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details - Extra fields copied onto the error (e.g. status, url, timeRange)
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'CremaError';
+        this.code = 'CREMA_ERROR';
+        Object.assign(this, details);
+    }
+}
+
+class NetworkError extends CremaError {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {number} details.status - HTTP status (0 for network failures and timeouts)
+     * @param {string} details.url - Request URL
+     * @param {boolean} details.timedOut - The request exceeded its timeout
+     */
+    constructor(message, details = {}) {
+        super(message, { status: 0, url: null, timedOut: false, ...details });
+        this.name = 'NetworkError';
+        this.code = 'NETWORK_ERROR';
+    }
+}
+
+class AuthError extends CremaError {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {number} details.status - 401 or 403
+     * @param {string} details.url - Request URL
+     */
+    constructor(message, details = {}) {
+        super(message, { status: 401, url: null, ...details });
+        this.name = 'AuthError';
+        this.code = 'AUTH_ERROR';
+    }
+}
+
+class CacheMissError extends CremaError {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.url - Snapshot or manifest URL
+     */
+    constructor(message, details = {}) {
+        super(message, { url: null, ...details });
+        this.name = 'CacheMissError';
+        this.code = 'CACHE_MISS';
+    }
+}
+
+class InvalidSnapshotError extends CremaError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'InvalidSnapshotError';
+        this.code = 'INVALID_SNAPSHOT';
+    }
+}
+
+class TimeRangeNotFoundError extends CremaError {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.timeRange - Requested time range
+     * @param {Array<string>} details.available - Time ranges the snapshot has
+     */
+    constructor(message, details = {}) {
+        super(message, { timeRange: null, available: [], ...details });
+        this.name = 'TimeRangeNotFoundError';
+        this.code = 'TIME_RANGE_NOT_FOUND';
+    }
+}
+
+class DecryptionError extends CremaError {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.reason - 'missing_key' (no password given), 'failed' (wrong key or corrupted data),
+     *                                  or 'unsupported' (unknown algorithm or KDF, or too-weak KDF settings)
+     * @param {string} details.keyId - Keyring key the node needed, if the password has no slot for it
+     */
+    constructor(message, details = {}) {
+        super(message, { reason: 'failed', ...details });
+        this.name = 'DecryptionError';
+        this.code = 'DECRYPTION_FAILED';
+    }
+}
+
+class IntegrityError extends CremaError {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.path - Path of the encrypted node that failed its check
+     * @param {string} details.field - Metadata field that doesn't match the authenticated header
+     */
+    constructor(message, details = {}) {
+        super(message, { path: null, field: null, ...details });
+        this.name = 'IntegrityError';
+        this.code = 'INTEGRITY_ERROR';
+    }
+}
+
+const CremaErrors = {
+    CremaError,
+    NetworkError,
+    AuthError,
+    CacheMissError,
+    InvalidSnapshotError,
+    TimeRangeNotFoundError,
+    DecryptionError,
+    IntegrityError
+};
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CremaErrors;
+}
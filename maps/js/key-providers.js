@@ -0,0 +1,352 @@
+/**
+ * Key Providers for decrypt.js
+ *
+ * getDecryptionKey() asks a chain of providers for the snapshot's decryption key, in order,
+ * and uses the first key that opens the snapshot. Every provider exposes the same interface:
+ *   name                          Shown in the outcome report
+ *   getKey(context) -> Promise    A password/data key string, a key set, or null (nothing to offer)
+ *
+ * The context passed to getKey():
+ *   snapshot, encryption          Encrypted dashboard data and its `_encryption` envelope
+ *   unlock(secret)                Key set for a password, or null if it doesn't open the snapshot
+ *   verify(keySet)                true if a key set opens the snapshot
+ *   skip(reason)                  Returns null and records why the provider had nothing to offer
+ *   remembered                    { load(), save(keySet), forget() } - keys remembered on this device
+ *   showPasswordDialog(options)   See decrypt.js
+ *   maxAttempts, rememberHours    Password dialog settings
+ *
+ * createKeyProvider() accepts:
+ *   'fragment'                                     Key from the URL fragment (#k=...), for share links
+ *   'config'                                       Key injected by the page or environment, for kiosk displays
+ *   'remembered'                                   Key set remembered on this device
+ *   'tokenExchange'                                Key from an endpoint that exchanges the API token
+ *   'dialog'                                       Ask the user
+ *   { type: '<one of the above>', ...options }     Built-in provider with options
+ *   async context => key                           Custom getter
+ *   { name, getKey }                               Custom provider
+ */
+
+/**
+ * Key from the URL fragment: index.html#k=<key>
+ * The fragment never reaches the server; the key is removed from the address bar once read.
+ * Links must percent-encode the key (encodeURIComponent): the raw value is decoded with
+ * decodeURIComponent, so '+' stays '+' and only %XX escapes are decoded.
+ */
+class FragmentKeyProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.param - Fragment parameter (default: 'k')
+     */
+    constructor(options = {}) {
+        this.name = 'fragment';
+        this.param = options.param || 'k';
+    }
+
+    async getKey(context) {
+        if (typeof location === 'undefined' || !location.hash) {
+            return context.skip('no URL fragment');
+        }
+        // Not URLSearchParams: form decoding would turn a '+' in a base64 key into a space
+        const parts = location.hash.slice(1).split('&');
+        const prefix = `${this.param}=`;
+        const raw = parts.find(part => part.startsWith(prefix))?.slice(prefix.length);
+        if (!raw) {
+            return context.skip(`no #${this.param}= in the URL`);
+        }
+
+        // Keep the key out of the address bar, history and bookmarks (other parameters stay as they were)
+        if (typeof history !== 'undefined' && history.replaceState) {
+            const hash = parts.filter(part => !part.startsWith(prefix)).join('&');
+            history.replaceState(history.state, '', `${location.pathname}${location.search}${hash ? `#${hash}` : ''}`);
+        }
+
+        try {
+            return decodeURIComponent(raw);
+        } catch (e) {
+            return context.skip(`#${this.param}= is not percent-encoded correctly`);
+        }
+    }
+}
+
+/**
+ * Key injected into the page or environment (kiosk displays)
+ * Sources, in order:
+ *   1. options.key
+ *   2. <meta name="kandaq-decryption-key" content="...">
+ *   3. window.KANDAQ_DECRYPTION_KEY (set by an injected config script)
+ *   4. DASHBOARD_PASSWORD (Node)
+ */
+class ConfigKeyProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.key - Key to use
+     */
+    constructor(options = {}) {
+        this.name = 'config';
+        this.key = options.key || null;
+    }
+
+    async getKey(context) {
+        const key = this.key
+            || (typeof document !== 'undefined' && document.querySelector('meta[name="kandaq-decryption-key"]')?.content)
+            || globalThis.KANDAQ_DECRYPTION_KEY
+            || (typeof process !== 'undefined' && process.env?.DASHBOARD_PASSWORD);
+        return key || context.skip('no configured key');
+    }
+}
+
+/**
+ * Key set remembered on this device ("Remember on this device" in the password dialog)
+ * A remembered key set that no longer opens the snapshot (e.g. after a password rotation) is forgotten.
+ */
+class RememberedKeyProvider {
+    constructor() {
+        this.name = 'remembered';
+    }
+
+    async getKey(context) {
+        const keySet = await context.remembered.load();
+        if (!keySet) {
+            return context.skip('nothing remembered on this device');
+        }
+        if (!(await context.verify(keySet))) {
+            await context.remembered.forget();
+            return context.skip('remembered key no longer opens this snapshot - forgotten');
+        }
+        return keySet;
+    }
+}
+
+/**
+ * Key from an endpoint that exchanges the signed-in user's API token for the data key
+ *   POST <endpoint>  Authorization: Bearer <token>
+ *   { tenant_id, key_id }  ->  { key }
+ * The endpoint comes from options.endpoint or <meta name="kandaq-key-endpoint" content="...">.
+ * `node tools/key-exchange-stub.js` serves one for local testing.
+ */
+class TokenExchangeKeyProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - Exchange URL
+     * @param {Function} options.getToken - async () => token (default: api_token from localStorage/sessionStorage)
+     * @param {HttpTransport} options.transport - Request layer (default: new HttpTransport({ fetch: options.fetch }))
+     * @param {Function} options.fetch - fetch implementation for the default transport
+     */
+    constructor(options = {}) {
+        this.name = 'tokenExchange';
+        this.endpoint = options.endpoint || null;
+        this.getToken = options.getToken || TokenExchangeKeyProvider._storedToken;
+        this.transport = options.transport || null;
+        this._fetch = options.fetch || null;
+    }
+
+    async getKey(context) {
+        const endpoint = this.endpoint
+            || (typeof document !== 'undefined' && document.querySelector('meta[name="kandaq-key-endpoint"]')?.content);
+        if (!endpoint) {
+            return context.skip('no key endpoint configured');
+        }
+        const token = await this.getToken();
+        if (!token) {
+            return context.skip('no API token');
+        }
+
+        if (!this.transport) {
+            const Transport = typeof HttpTransport === 'function' ? HttpTransport : require('./transport.js');
+            this.transport = new Transport({ fetch: this._fetch });
+        }
+        const response = await this.transport.json(endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                tenant_id: context.snapshot.tenant_id ?? null,
+                key_id: context.encryption.active_key_id ?? null
+            })
+        });
+        if (!response || typeof response.key !== 'string' || !response.key) {
+            throw new Error(`Key endpoint returned no key (${endpoint})`);
+        }
+        return response.key;
+    }
+
+    static _storedToken() {
+        if (typeof localStorage === 'undefined') {
+            return null;
+        }
+        return localStorage.getItem('api_token') || sessionStorage.getItem('api_token');
+    }
+}
+
+/**
+ * Ask the user (password dialog with retries, "Remember on this device" and the key_hint)
+ */
+class DialogKeyProvider {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.showHint - Offer the envelope's key_hint (default: true)
+     * @param {string} options.locale - Dialog language (default: the page's lang attribute)
+     * @param {Object} options.strings - Overrides for individual dialog strings (see js/password-dialog.js)
+     */
+    constructor(options = {}) {
+        this.name = 'dialog';
+        this.showHint = options.showHint !== false;
+        this.locale = options.locale;
+        this.strings = options.strings;
+    }
+
+    async getKey(context) {
+        if (typeof document === 'undefined') {
+            return context.skip('no page to show the dialog on');
+        }
+        let keySet = null;
+        const result = await context.showPasswordDialog({
+            verify: async password => {
+                keySet = await context.unlock(password);
+                return !!keySet;
+            },
+            maxAttempts: context.maxAttempts,
+            rememberHours: context.rememberHours,
+            hint: this.showHint ? context.encryption.key_hint : null,
+            locale: this.locale,
+            strings: this.strings
+        });
+        if (!result || !keySet) {
+            return context.skip('cancelled by the user');
+        }
+        if (result.remember) {
+            await context.remembered.save(keySet);
+        }
+        return keySet;
+    }
+}
+
+/**
+ * Asks providers in order and keeps a report of every outcome:
+ *   { provider, outcome, detail }
+ *   outcome: 'accepted'     Key opens the snapshot (the chain stops here)
+ *            'rejected'     Key doesn't open the snapshot
+ *            'unavailable'  Nothing to offer (detail says why)
+ *            'error'        The provider threw (detail is the message)
+ */
+class KeyProviderChain {
+    /**
+     * @param {Array} providers - Provider specs (see createKeyProvider())
+     * @param {Object} options
+     * @param {Function} options.onOutcome - Called with each report entry as it happens
+     */
+    constructor(providers, options = {}) {
+        this.providers = providers.map(createKeyProvider);
+        this.onOutcome = options.onOutcome || null;
+        this.lastReport = [];
+    }
+
+    /**
+     * Ask each provider until one supplies a key that opens the snapshot
+     * If none does and the last provider asked threw, its error is rethrown (e.g. the dialog's
+     * DecryptionError after too many wrong passwords); otherwise the result is null, so an earlier
+     * provider's failure doesn't override a later outcome such as the user cancelling the dialog.
+     * @param {Object} context - Provider context without skip() (see the module comment)
+     * @returns {Promise<Object|null>} - { keySet, provider, report }, or null
+     */
+    async resolve(context) {
+        const report = [];
+        this.lastReport = report;
+        let lastError = null;
+
+        for (const provider of this.providers) {
+            let detail = null;
+            const providerContext = {
+                ...context,
+                skip: reason => {
+                    detail = reason;
+                    return null;
+                }
+            };
+
+            let outcome;
+            let keySet = null;
+            try {
+                const key = await provider.getKey(providerContext);
+                if (key === null || key === undefined || key === '') {
+                    outcome = 'unavailable';
+                } else if (typeof key === 'string') {
+                    keySet = await context.unlock(key);
+                    outcome = keySet ? 'accepted' : 'rejected';
+                } else {
+                    keySet = key;
+                    outcome = await context.verify(keySet) ? 'accepted' : 'rejected';
+                }
+                lastError = null;
+            } catch (error) {
+                lastError = error;
+                outcome = 'error';
+                detail = error.message;
+            }
+
+            const entry = { provider: provider.name || 'custom', outcome, detail };
+            report.push(entry);
+            console.log(`🔑 Key provider '${entry.provider}': ${outcome}${detail ? ` (${detail})` : ''}`);
+            if (this.onOutcome) {
+                this.onOutcome(entry);
+            }
+            if (outcome === 'accepted') {
+                return { keySet, provider: entry.provider, report };
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+        return null;
+    }
+}
+
+// Default chain: share link, kiosk config, this device, token exchange, then the user
+const DEFAULT_KEY_PROVIDERS = ['fragment', 'config', 'remembered', 'tokenExchange', 'dialog'];
+
+/**
+ * Create a key provider from a spec
+ * @param {string|Function|Object} spec - See the module comment
+ * @returns {Object} Provider
+ */
+function createKeyProvider(spec) {
+    if (typeof spec === 'function') {
+        return { name: spec.name || 'custom', getKey: spec };
+    }
+    const { type, ...options } = typeof spec === 'string' ? { type: spec } : (spec || {});
+
+    switch (type) {
+        case 'fragment':
+            return new FragmentKeyProvider(options);
+        case 'config':
+            return new ConfigKeyProvider(options);
+        case 'remembered':
+            return new RememberedKeyProvider(options);
+        case 'tokenExchange':
+            return new TokenExchangeKeyProvider(options);
+        case 'dialog':
+            return new DialogKeyProvider(options);
+    }
+    if (spec && typeof spec.getKey === 'function') {
+        return spec;
+    }
+
+    throw new Error(`Invalid key provider: unknown type '${type}'. Must be 'fragment', 'config', 'remembered', 'tokenExchange', 'dialog', a function, or a provider object`);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FragmentKeyProvider,
+        ConfigKeyProvider,
+        RememberedKeyProvider,
+        TokenExchangeKeyProvider,
+        DialogKeyProvider,
+        KeyProviderChain,
+        DEFAULT_KEY_PROVIDERS,
+        createKeyProvider
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Metric Comparison - period-over-period deltas for metrics, revenue sources and source targets
+ *
+ * compareMetricData() takes two loaded ranges ({ metrics, source_targets }, e.g. from
+ * CremaClient.loadCacheFile()) and returns, for every value found in either one:
+ *   { current, previous, change, percent_change, direction }
+ *   change          current - previous (null if either side is missing)
+ *   percent_change  change as a percentage of |previous| (null if previous is 0 or missing)
+ *   direction       'up', 'down' or 'flat' (null if either side is missing)
+ *
+ * Metric values may be numbers, formatted strings ('$1,234') or { value, ... } objects, like the
+ * metric tiles accept. Whether 'up' is good depends on the metric - callers decide.
+ */
+
+/**
+ * Compare two ranges
+ * @param {Object} current - { metrics, source_targets } for the current period
+ * @param {Object} previous - { metrics, source_targets } for the period to compare against
+ * @returns {Object} { metrics, revenue_sources, source_targets } - comparisons keyed by metric id,
+ *                   revenue source name (metrics.revenue_by_source.sources) and target id
+ */
+function compareMetricData(current, previous) {
+    const currentMetrics = current?.metrics || {};
+    const previousMetrics = previous?.metrics || {};
+
+    const metrics = {};
+    for (const id of unionKeys(currentMetrics, previousMetrics)) {
+        if (id.startsWith('_')) {
+            continue;
+        }
+        const comparison = compareMetricValues(metricNumber(currentMetrics[id]), metricNumber(previousMetrics[id]));
+        if (comparison) {
+            metrics[id] = comparison;
+        }
+    }
+
+    const revenue_sources = {};
+    const currentSources = currentMetrics.revenue_by_source?.sources || {};
+    const previousSources = previousMetrics.revenue_by_source?.sources || {};
+    for (const name of unionKeys(currentSources, previousSources)) {
+        const comparison = compareMetricValues(metricNumber(currentSources[name]?.total), metricNumber(previousSources[name]?.total));
+        if (comparison) {
+            revenue_sources[name] = comparison;
+        }
+    }
+
+    // Targets are { target, match, percent_difference } per metric; the target amount is compared
+    const source_targets = {};
+    const currentTargets = current?.source_targets || {};
+    const previousTargets = previous?.source_targets || {};
+    const targetAmount = entry => metricNumber(entry && typeof entry === 'object' ? entry.target : entry);
+    for (const id of unionKeys(currentTargets, previousTargets)) {
+        const comparison = compareMetricValues(targetAmount(currentTargets[id]), targetAmount(previousTargets[id]));
+        if (comparison) {
+            source_targets[id] = comparison;
+        }
+    }
+
+    return { metrics, revenue_sources, source_targets };
+}
+
+/**
+ * Compare two numbers (either may be null)
+ * @param {number|null} current
+ * @param {number|null} previous
+ * @returns {Object|null} { current, previous, change, percent_change, direction }, or null if both are missing
+ */
+function compareMetricValues(current, previous) {
+    if (current === null && previous === null) {
+        return null;
+    }
+    if (current === null || previous === null) {
+        return { current, previous, change: null, percent_change: null, direction: null };
+    }
+    const change = current - previous;
+    return {
+        current,
+        previous,
+        change,
+        percent_change: previous !== 0 ? change / Math.abs(previous) * 100 : null,
+        direction: change > 0 ? 'up' : change < 0 ? 'down' : 'flat'
+    };
+}
+
+/**
+ * Numeric value of a metric (number, formatted string or { value }), or null
+ * @private
+ */
+function metricNumber(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        value = value.value;
+    }
+    if (typeof value === 'string') {
+        value = parseFloat(value.replace(/[^0-9.-]/g, ''));
+    }
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * @private
+ */
+function unionKeys(a, b) {
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])];
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        compareMetricData,
+        compareMetricValues
+    };
+}
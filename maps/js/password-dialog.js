@@ -0,0 +1,665 @@
+/**
+ * Password Dialog - accessible modal that asks for the dashboard decryption password
+ *
+ * Used by showPasswordDialog() in decrypt.js (the 'dialog' key provider).
+ *   - role="dialog" + aria-modal, labelled by its title and described by its description
+ *   - Focus moves into the dialog, Tab/Shift+Tab stay inside it, and focus returns to the
+ *     previously focused element when it closes; Escape cancels
+ *   - Styled by one shared stylesheet that reads the dashboard's CSS variables (--bg-primary,
+ *     --text-primary, --primary-color, ...) in both color schemes; the dark palette under
+ *     prefers-color-scheme only fills in variables the page doesn't set.
+ *     Override the --password-dialog-* variables to theme it.
+ *   - Strings come from PASSWORD_DIALOG_STRINGS by locale (options.locale, else the page's
+ *     lang attribute, else 'en'); add a language with PasswordDialog.addStrings()
+ *   - Show/hide password toggle, and an optional "Show hint" button for the envelope's key_hint
+ */
+
+// Translatable strings by locale. Entries with { one, other } are chosen with Intl.PluralRules;
+// {count} and {hint} are replaced.
+const PASSWORD_DIALOG_STRINGS = {
+    en: {
+        brand: 'Kandaq',
+        subtitle: 'Secure Data Access',
+        title: 'Decryption Required',
+        description: 'Enter your password to decrypt and access the dashboard data.',
+        passwordLabel: 'Password',
+        placeholder: 'Enter password',
+        showPassword: 'Show password',
+        hidePassword: 'Hide password',
+        showHint: 'Show hint',
+        hideHint: 'Hide hint',
+        hint: 'Hint: {hint}',
+        remember: {
+            one: 'Remember on this device for {count} hour',
+            other: 'Remember on this device for {count} hours'
+        },
+        cancel: 'Cancel',
+        submit: 'Decrypt',
+        checking: 'Checking...',
+        required: 'Enter your password.',
+        incorrect: {
+            one: 'Incorrect password. {count} attempt left.',
+            other: 'Incorrect password. {count} attempts left.'
+        }
+    }
+};
+
+const PASSWORD_DIALOG_STYLE_ID = 'password-dialog-styles';
+
+const PASSWORD_DIALOG_CSS = `
+.password-dialog-overlay {
+    --password-dialog-bg: var(--bg-primary, #FFFFFF);
+    --password-dialog-text: var(--text-primary, #111827);
+    --password-dialog-muted: var(--text-secondary, #6B7280);
+    --password-dialog-subtle: var(--text-tertiary, #9CA3AF);
+    --password-dialog-border: var(--border-color, #E5E7EB);
+    --password-dialog-border-hover: var(--border-hover, #D1D5DB);
+    --password-dialog-control-bg: var(--control-bg, #FFFFFF);
+    --password-dialog-control-hover: var(--control-hover-bg, #F9FAFB);
+    --password-dialog-secondary-text: var(--button-secondary-text, #374151);
+    --password-dialog-accent: var(--primary-color, #A51D35);
+    --password-dialog-accent-hover: var(--primary-hover, #8B1A2E);
+    --password-dialog-accent-text: var(--button-primary-text, #FFFFFF);
+    --password-dialog-error: #DC2626;
+    --password-dialog-backdrop: rgba(0, 0, 0, 0.7);
+    position: fixed;
+    inset: 0;
+    background: var(--password-dialog-backdrop);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 10000;
+    font-family: var(--font-family, Poppins, sans-serif);
+}
+@media (prefers-color-scheme: dark) {
+    .password-dialog-overlay {
+        --password-dialog-bg: var(--bg-primary, #1F2937);
+        --password-dialog-text: var(--text-primary, #F9FAFB);
+        --password-dialog-muted: var(--text-secondary, #D1D5DB);
+        --password-dialog-subtle: var(--text-tertiary, #9CA3AF);
+        --password-dialog-border: var(--border-color, #374151);
+        --password-dialog-border-hover: var(--border-hover, #4B5563);
+        --password-dialog-control-bg: var(--control-bg, #111827);
+        --password-dialog-control-hover: var(--control-hover-bg, #374151);
+        --password-dialog-secondary-text: var(--button-secondary-text, #E5E7EB);
+        --password-dialog-error: #F87171;
+        --password-dialog-backdrop: rgba(0, 0, 0, 0.8);
+    }
+}
+.password-dialog {
+    background: var(--password-dialog-bg);
+    color: var(--password-dialog-text);
+    border-radius: 12px;
+    max-width: 450px;
+    width: 90%;
+    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+    animation: password-dialog-in 0.2s ease-out;
+    overflow: hidden;
+}
+@keyframes password-dialog-in {
+    from { opacity: 0; transform: scale(0.95); }
+    to { opacity: 1; transform: scale(1); }
+}
+@media (prefers-reduced-motion: reduce) {
+    .password-dialog { animation: none; }
+}
+.password-dialog-header {
+    background: linear-gradient(135deg, var(--password-dialog-accent) 0%, var(--password-dialog-accent-hover) 100%);
+    padding: 24px 32px;
+    display: flex;
+    align-items: center;
+    gap: 16px;
+    color: var(--password-dialog-accent-text);
+}
+.password-dialog-icon {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    width: 56px;
+    height: 56px;
+    background: rgba(255, 255, 255, 0.2);
+    border-radius: 12px;
+    flex-shrink: 0;
+    font-size: 32px;
+}
+.password-dialog-brand {
+    font-size: 20px;
+    font-weight: 700;
+    margin-bottom: 4px;
+    letter-spacing: 0.5px;
+}
+.password-dialog-subtitle {
+    font-size: 13px;
+    opacity: 0.9;
+}
+.password-dialog-content {
+    padding: 32px;
+}
+.password-dialog-title {
+    margin: 0 0 12px 0;
+    color: var(--password-dialog-text);
+    font-size: 22px;
+    font-weight: 600;
+}
+.password-dialog-description {
+    margin: 0 0 24px 0;
+    color: var(--password-dialog-muted);
+    font-size: 14px;
+    line-height: 1.5;
+}
+.password-dialog-label {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+}
+.password-dialog-field {
+    position: relative;
+    margin-bottom: 16px;
+}
+.password-dialog-field .fa-lock {
+    position: absolute;
+    left: 16px;
+    top: 50%;
+    transform: translateY(-50%);
+    color: var(--password-dialog-subtle);
+    pointer-events: none;
+}
+.password-dialog-field:focus-within .fa-lock {
+    color: var(--password-dialog-accent);
+}
+.password-dialog-input {
+    width: 100%;
+    padding: 12px 52px 12px 48px;
+    border: 2px solid var(--password-dialog-border);
+    border-radius: 8px;
+    background: var(--password-dialog-control-bg);
+    color: var(--password-dialog-text);
+    font-size: 16px;
+    font-family: inherit;
+    box-sizing: border-box;
+    transition: border-color 0.2s, box-shadow 0.2s;
+}
+.password-dialog-input:focus {
+    outline: none;
+    border-color: var(--password-dialog-accent);
+    box-shadow: 0 0 0 3px rgba(165, 29, 53, 0.25);
+}
+.password-dialog-input[aria-invalid="true"] {
+    border-color: var(--password-dialog-error);
+}
+.password-dialog-toggle {
+    position: absolute;
+    right: 6px;
+    top: 50%;
+    transform: translateY(-50%);
+    width: 40px;
+    height: 36px;
+    border: none;
+    border-radius: 6px;
+    background: transparent;
+    color: var(--password-dialog-muted);
+    cursor: pointer;
+}
+.password-dialog-toggle:hover {
+    background: var(--password-dialog-control-hover);
+}
+.password-dialog-error {
+    margin: 0 0 16px 0;
+    color: var(--password-dialog-error);
+    font-size: 13px;
+    line-height: 1.5;
+}
+.password-dialog-error:empty {
+    display: none;
+}
+.password-dialog-hint-button {
+    padding: 0;
+    margin: 0 0 8px 0;
+    border: none;
+    background: none;
+    color: var(--password-dialog-accent);
+    font-size: 13px;
+    font-family: inherit;
+    text-decoration: underline;
+    cursor: pointer;
+}
+.password-dialog-hint {
+    margin: 0 0 16px 0;
+    color: var(--password-dialog-muted);
+    font-size: 13px;
+}
+.password-dialog-remember {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin: 8px 0 24px 0;
+    color: var(--password-dialog-secondary-text);
+    font-size: 13px;
+    cursor: pointer;
+}
+.password-dialog-remember input {
+    accent-color: var(--password-dialog-accent);
+    cursor: pointer;
+}
+.password-dialog-buttons {
+    display: flex;
+    gap: 12px;
+    justify-content: flex-end;
+    margin-top: 24px;
+}
+.password-dialog-button {
+    padding: 10px 20px;
+    border-radius: 8px;
+    font-size: 14px;
+    font-weight: 500;
+    font-family: inherit;
+    cursor: pointer;
+    transition: background-color 0.2s, border-color 0.2s;
+}
+.password-dialog-cancel {
+    border: 2px solid var(--password-dialog-border);
+    background: var(--password-dialog-control-bg);
+    color: var(--password-dialog-secondary-text);
+}
+.password-dialog-cancel:hover {
+    background: var(--password-dialog-control-hover);
+    border-color: var(--password-dialog-border-hover);
+}
+.password-dialog-submit {
+    border: 2px solid var(--password-dialog-accent);
+    background: var(--password-dialog-accent);
+    color: var(--password-dialog-accent-text);
+}
+.password-dialog-submit:hover {
+    background: var(--password-dialog-accent-hover);
+}
+.password-dialog-submit:disabled {
+    opacity: 0.7;
+    cursor: wait;
+}
+.password-dialog button:focus-visible,
+.password-dialog-remember input:focus-visible {
+    outline: 3px solid var(--password-dialog-accent);
+    outline-offset: 2px;
+}
+`;
+
+let passwordDialogCount = 0;
+
+class PasswordDialog {
+    /**
+     * @param {Object} options
+     * @param {Function} options.verify - async password => boolean (default: accept any password)
+     * @param {number} options.maxAttempts - Wrong passwords allowed before giving up (default: 3)
+     * @param {number} options.rememberHours - Offer "Remember on this device for N hours" (default: 0 = no)
+     * @param {string} options.hint - Password hint (the envelope's key_hint) behind a "Show hint" button
+     * @param {string} options.locale - String table to use (default: the page's lang, then 'en')
+     * @param {Object} options.strings - Overrides for individual strings
+     */
+    constructor(options = {}) {
+        this.verify = options.verify || (async () => true);
+        this.maxAttempts = options.maxAttempts ?? 3;
+        this.rememberHours = options.rememberHours || 0;
+        this.hint = options.hint || null;
+        this.locale = PasswordDialog._resolveLocale(options.locale);
+        this.strings = { ...PASSWORD_DIALOG_STRINGS.en, ...PASSWORD_DIALOG_STRINGS[this.locale], ...options.strings };
+        this._id = `password-dialog-${++passwordDialogCount}`;
+        this._settle = null;
+    }
+
+    /**
+     * Add or extend a language
+     * @param {string} locale - e.g. 'fr' (regional variants such as 'fr-CA' fall back to it)
+     * @param {Object} strings - Same keys as PASSWORD_DIALOG_STRINGS.en
+     */
+    static addStrings(locale, strings) {
+        PASSWORD_DIALOG_STRINGS[locale] = { ...PASSWORD_DIALOG_STRINGS[locale], ...strings };
+    }
+
+    /**
+     * Show the dialog
+     * With a verify function the dialog stays open until the password checks out: wrong passwords
+     * show an inline message and the user can retry, up to maxAttempts.
+     * @returns {Promise<Object|null>} - { password, remember } entered by user, or null if cancelled.
+     *                                   Rejects with a DecryptionError after maxAttempts wrong
+     *                                   passwords, or with any error thrown by verify.
+     */
+    open() {
+        if (this._settle) {
+            throw new Error('Password dialog is already open');
+        }
+        return new Promise((resolve, reject) => {
+            this._settle = { resolve, reject };
+            this._previousFocus = document.activeElement || null;
+            PasswordDialog._injectStyles();
+            this._render();
+            document.body.appendChild(this.overlay);
+            setTimeout(() => this.input.focus(), 50);
+        });
+    }
+
+    /**
+     * Close the dialog as if the user cancelled
+     */
+    cancel() {
+        this._finish(settle => settle.resolve(null));
+    }
+
+    /**
+     * Build the dialog DOM
+     * @private
+     */
+    _render() {
+        const t = this.strings;
+        const el = (tag, className, attributes = {}) => {
+            const element = document.createElement(tag);
+            if (className) {
+                element.className = className;
+            }
+            for (const [name, value] of Object.entries(attributes)) {
+                element.setAttribute(name, value);
+            }
+            return element;
+        };
+        const icon = name => el('i', `fas ${name}`, { 'aria-hidden': 'true' });
+        const ids = {
+            title: `${this._id}-title`,
+            description: `${this._id}-description`,
+            input: `${this._id}-input`,
+            error: `${this._id}-error`,
+            hint: `${this._id}-hint`
+        };
+
+        this.overlay = el('div', 'password-dialog-overlay');
+        this.dialog = el('div', 'password-dialog', {
+            'role': 'dialog',
+            'aria-modal': 'true',
+            'aria-labelledby': ids.title,
+            'aria-describedby': ids.description
+        });
+
+        // Header with Kandaq branding
+        const header = el('div', 'password-dialog-header');
+        const headerIcon = el('div', 'password-dialog-icon');
+        headerIcon.appendChild(icon('fa-shield-alt'));
+        const headerText = el('div');
+        const brand = el('div', 'password-dialog-brand');
+        brand.textContent = t.brand;
+        const subtitle = el('div', 'password-dialog-subtitle');
+        subtitle.textContent = t.subtitle;
+        headerText.appendChild(brand);
+        headerText.appendChild(subtitle);
+        header.appendChild(headerIcon);
+        header.appendChild(headerText);
+
+        const content = el('div', 'password-dialog-content');
+        const title = el('h2', 'password-dialog-title', { id: ids.title });
+        title.textContent = t.title;
+        const description = el('p', 'password-dialog-description', { id: ids.description });
+        description.textContent = t.description;
+
+        // Password field: visually hidden label, lock icon, show/hide toggle
+        const label = el('label', 'password-dialog-label', { for: ids.input });
+        label.textContent = t.passwordLabel;
+        const field = el('div', 'password-dialog-field');
+        this.input = el('input', 'password-dialog-input', {
+            id: ids.input,
+            type: 'password',
+            placeholder: t.placeholder,
+            autocomplete: 'current-password',
+            'aria-describedby': ids.error,
+            'aria-invalid': 'false'
+        });
+        this.toggle = el('button', 'password-dialog-toggle', {
+            type: 'button',
+            'aria-controls': ids.input,
+            'aria-pressed': 'false',
+            'aria-label': t.showPassword,
+            title: t.showPassword
+        });
+        this.toggle.appendChild(icon('fa-eye'));
+        this.toggle.addEventListener('click', () => this._togglePassword());
+        field.appendChild(icon('fa-lock'));
+        field.appendChild(this.input);
+        field.appendChild(this.toggle);
+
+        // Wrong/missing password message, announced when it changes
+        this.error = el('div', 'password-dialog-error', { id: ids.error, role: 'alert' });
+
+        content.appendChild(title);
+        content.appendChild(description);
+        content.appendChild(label);
+        content.appendChild(field);
+        content.appendChild(this.error);
+
+        // Optional hint, revealed on request
+        this.hintButton = null;
+        if (this.hint) {
+            this.hintButton = el('button', 'password-dialog-hint-button', {
+                type: 'button',
+                'aria-expanded': 'false',
+                'aria-controls': ids.hint
+            });
+            this.hintButton.textContent = t.showHint;
+            this.hintText = el('p', 'password-dialog-hint', { id: ids.hint });
+            this.hintText.textContent = this._format(t.hint, { hint: this.hint });
+            this.hintText.hidden = true;
+            this.hintButton.addEventListener('click', () => this._toggleHint());
+            content.appendChild(this.hintButton);
+            content.appendChild(this.hintText);
+        }
+
+        // "Remember on this device" (off by default - shared computers)
+        this.remember = null;
+        if (this.rememberHours > 0) {
+            const rememberLabel = el('label', 'password-dialog-remember');
+            this.remember = el('input', null, { type: 'checkbox' });
+            rememberLabel.appendChild(this.remember);
+            rememberLabel.appendChild(document.createTextNode(this._format(t.remember, { count: this.rememberHours })));
+            content.appendChild(rememberLabel);
+        }
+
+        const buttons = el('div', 'password-dialog-buttons');
+        this.cancelButton = el('button', 'password-dialog-button password-dialog-cancel', { type: 'button' });
+        this.cancelButton.textContent = t.cancel;
+        this.cancelButton.addEventListener('click', () => this.cancel());
+        this.submitButton = el('button', 'password-dialog-button password-dialog-submit', { type: 'button' });
+        this.submitButton.textContent = t.submit;
+        this.submitButton.addEventListener('click', () => this._submit());
+        buttons.appendChild(this.cancelButton);
+        buttons.appendChild(this.submitButton);
+        content.appendChild(buttons);
+
+        this.dialog.appendChild(header);
+        this.dialog.appendChild(content);
+        this.overlay.appendChild(this.dialog);
+
+        this._attempts = 0;
+        this._checking = false;
+        this.input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this._submit();
+            }
+        });
+        this.dialog.addEventListener('keydown', event => this._onKeydown(event));
+        this.overlay.addEventListener('click', event => {
+            if (event.target === this.overlay) {
+                this.cancel();
+            }
+        });
+    }
+
+    /**
+     * Escape cancels; Tab and Shift+Tab cycle through the dialog's controls
+     * @private
+     */
+    _onKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.cancel();
+            return;
+        }
+        if (event.key !== 'Tab') {
+            return;
+        }
+        const focusable = [this.input, this.toggle, this.hintButton, this.remember, this.cancelButton, this.submitButton]
+            .filter(element => element && !element.disabled);
+        const index = focusable.indexOf(document.activeElement);
+        const next = event.shiftKey
+            ? (index <= 0 ? focusable.length - 1 : index - 1)
+            : (index === -1 || index === focusable.length - 1 ? 0 : index + 1);
+        event.preventDefault();
+        focusable[next].focus();
+    }
+
+    _togglePassword() {
+        const visible = this.input.type === 'password';
+        const label = visible ? this.strings.hidePassword : this.strings.showPassword;
+        this.input.type = visible ? 'text' : 'password';
+        this.toggle.setAttribute('aria-pressed', String(visible));
+        this.toggle.setAttribute('aria-label', label);
+        this.toggle.setAttribute('title', label);
+        this.toggle.firstChild.className = `fas ${visible ? 'fa-eye-slash' : 'fa-eye'}`;
+        this.input.focus();
+    }
+
+    _toggleHint() {
+        const show = this.hintText.hidden;
+        this.hintText.hidden = !show;
+        this.hintButton.setAttribute('aria-expanded', String(show));
+        this.hintButton.textContent = show ? this.strings.hideHint : this.strings.showHint;
+    }
+
+    /**
+     * Check the password, then close or show how many attempts are left
+     * @private
+     */
+    async _submit() {
+        const password = this.input.value.trim();
+        if (!password) {
+            this._showError(this.strings.required);
+            return;
+        }
+        if (this._checking) {
+            return;
+        }
+
+        this._checking = true;
+        this.submitButton.disabled = true;
+        this.submitButton.textContent = this.strings.checking;
+        this.dialog.setAttribute('aria-busy', 'true');
+        let verified;
+        try {
+            verified = await this.verify(password);
+        } catch (error) {
+            this._finish(settle => settle.reject(error));
+            return;
+        } finally {
+            this._checking = false;
+            this.submitButton.disabled = false;
+            this.submitButton.textContent = this.strings.submit;
+            this.dialog.setAttribute('aria-busy', 'false');
+        }
+        if (!this._settle) {
+            return; // Cancelled while checking
+        }
+        if (verified) {
+            const remember = !!this.remember && this.remember.checked;
+            this._finish(settle => settle.resolve({ password, remember }));
+            return;
+        }
+
+        this._attempts++;
+        if (this._attempts >= this.maxAttempts) {
+            const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+            const error = new errors.DecryptionError(`Incorrect password (${this._attempts} attempts)`, { attempts: this._attempts });
+            this._finish(settle => settle.reject(error));
+            return;
+        }
+        this.input.value = '';
+        this._showError(this._format(this.strings.incorrect, { count: this.maxAttempts - this._attempts }));
+    }
+
+    _showError(message) {
+        this.error.textContent = message;
+        this.input.setAttribute('aria-invalid', 'true');
+        this.input.focus();
+    }
+
+    /**
+     * Remove the dialog, restore focus and settle the open() promise (once)
+     * @private
+     */
+    _finish(callback) {
+        const settle = this._settle;
+        if (!settle) {
+            return;
+        }
+        this._settle = null;
+        this.overlay.remove();
+        if (this._previousFocus && typeof this._previousFocus.focus === 'function' && this._previousFocus.isConnected !== false) {
+            this._previousFocus.focus();
+        }
+        callback(settle);
+    }
+
+    /**
+     * Pick the plural form and fill in {placeholders}
+     * @private
+     */
+    _format(entry, values) {
+        let text = entry;
+        if (typeof entry === 'object') {
+            const form = new Intl.PluralRules(this.locale).select(values.count);
+            text = entry[form] ?? entry.other;
+        }
+        return text.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+    }
+
+    /**
+     * Locale with a string table: the requested one, the page's lang, or 'en' (with 'fr-CA' -> 'fr')
+     * @private
+     */
+    static _resolveLocale(requested) {
+        const candidates = [requested, typeof document !== 'undefined' ? document.documentElement?.lang : null];
+        for (const candidate of candidates) {
+            if (!candidate) {
+                continue;
+            }
+            if (PASSWORD_DIALOG_STRINGS[candidate]) {
+                return candidate;
+            }
+            const language = candidate.split('-')[0];
+            if (PASSWORD_DIALOG_STRINGS[language]) {
+                return language;
+            }
+        }
+        return 'en';
+    }
+
+    /**
+     * Add the dialog stylesheet once per page
+     * @private
+     */
+    static _injectStyles() {
+        if (document.getElementById(PASSWORD_DIALOG_STYLE_ID)) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = PASSWORD_DIALOG_STYLE_ID;
+        style.textContent = PASSWORD_DIALOG_CSS;
+        document.head.appendChild(style);
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PasswordDialog,
+        PASSWORD_DIALOG_STRINGS
+    };
+}
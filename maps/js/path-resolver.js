@@ -0,0 +1,171 @@
+/**
+ * Deployment Path Resolver
+ *
+ * Single place that turns app-relative paths into URLs, used by both CremaClient and decrypt.js.
+ * The app base path is configured instead of guessed from the page URL:
+ *   1. options.basePath
+ *   2. <meta name="kandaq-base-path" content="/some/prefix/maps/">
+ *   3. The directory of the current page
+ *
+ * Dataset files are listed in data/manifest.json:
+ *   {
+ *     "tenant_id": "maps",
+ *     "datasets": {
+ *       "dashboard": { "path": "dashboard_data.json", "version": "1.0", "time_ranges": [...] }
+ *     }
+ *   }
+ * Dataset paths are relative to the manifest file.
+ */
+
+class PathResolver {
+    /**
+     * @param {Object} options
+     * @param {string} options.basePath - App base path or URL (default: from page)
+     * @param {string} options.dataDir - Data directory relative to the base path (default: 'data')
+     * @param {string} options.manifestFile - Manifest file name inside dataDir (default: 'manifest.json')
+     * @param {HttpTransport} options.transport - Request layer (timeouts, retries) - see transport.js
+     */
+    constructor(options = {}) {
+        this.basePath = PathResolver._withTrailingSlash(options.basePath || PathResolver._pageBasePath());
+        this.dataDir = (options.dataDir || 'data').replace(/\/+$/, '');
+        this.manifestFile = options.manifestFile || 'manifest.json';
+        this.transport = options.transport || null; // Default transport is created on first request
+        this._manifest = null; // Promise - manifest fetched once
+    }
+
+    /**
+     * Get the page-wide resolver (configured by the kandaq-base-path meta tag)
+     * @returns {PathResolver}
+     */
+    static shared() {
+        if (!PathResolver._shared) {
+            PathResolver._shared = new PathResolver();
+        }
+        return PathResolver._shared;
+    }
+
+    /**
+     * Base path configured for the current page
+     * @private
+     */
+    static _pageBasePath() {
+        if (typeof document === 'undefined') {
+            return '';
+        }
+        const meta = document.querySelector('meta[name="kandaq-base-path"]');
+        if (meta && meta.content) {
+            return new URL(meta.content, document.baseURI).href;
+        }
+        // Directory of the current page: /maps/index.html -> /maps/
+        return new URL('.', document.baseURI).href;
+    }
+
+    static _isUrl(path) {
+        return /^[a-z][a-z0-9+.-]*:/i.test(path);
+    }
+
+    static _withTrailingSlash(path) {
+        return path && !path.endsWith('/') ? `${path}/` : path;
+    }
+
+    /**
+     * Resolve a path relative to the app base path
+     * @param {string} path - Relative path (e.g. 'data/manifest.json'), absolute path or URL
+     * @returns {string} URL
+     */
+    resolve(path) {
+        if (!this.basePath || PathResolver._isUrl(path)) {
+            return path;
+        }
+        if (PathResolver._isUrl(this.basePath)) {
+            return new URL(path, this.basePath).href;
+        }
+        // Plain path base (no origin available, e.g. Node)
+        return path.startsWith('/') ? path : `${this.basePath}${path}`;
+    }
+
+    /**
+     * URL of the deployment manifest
+     * @returns {string}
+     */
+    getManifestUrl() {
+        return this.resolve(`${this.dataDir}/${this.manifestFile}`);
+    }
+
+    /**
+     * Load the deployment manifest (fetched once)
+     * @returns {Promise<Object|null>} Manifest, or null if the deployment has none
+     */
+    loadManifest() {
+        if (!this._manifest) {
+            this._manifest = this._fetchManifest();
+            // Allow a retry after network failures
+            this._manifest.catch(() => {
+                this._manifest = null;
+            });
+        }
+        return this._manifest;
+    }
+
+    /**
+     * @private
+     */
+    async _fetchManifest() {
+        const manifestUrl = this.getManifestUrl();
+        if (!this.transport) {
+            const Transport = typeof HttpTransport === 'function' ? HttpTransport : require('./transport.js');
+            this.transport = new Transport();
+        }
+        const response = await this.transport.request(manifestUrl, { cache: 'no-cache', allowStatus: [404] });
+        if (response.status === 404) {
+            console.warn(`⚠️ No deployment manifest at ${manifestUrl}, using default dataset paths`);
+            return null;
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Get a dataset entry from the manifest
+     * @param {string} name - Dataset name (e.g. 'dashboard')
+     * @returns {Promise<Object|null>} Dataset entry ({ path, version, time_ranges, ... })
+     */
+    async getDataset(name = 'dashboard') {
+        const manifest = await this.loadManifest();
+        return manifest?.datasets?.[name] || null;
+    }
+
+    /**
+     * Resolve a dataset's file URL
+     * Deployments without a manifest fall back to <dataDir>/dashboard_data.json.
+     * @param {string} name - Dataset name (e.g. 'dashboard')
+     * @returns {Promise<string>} URL
+     */
+    async resolveDataset(name = 'dashboard') {
+        const manifest = await this.loadManifest();
+        if (!manifest) {
+            return this.resolve(`${this.dataDir}/dashboard_data.json`);
+        }
+
+        const dataset = manifest.datasets?.[name];
+        if (!dataset || !dataset.path) {
+            const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+            throw new errors.CacheMissError(`Dataset '${name}' not listed in manifest ${this.getManifestUrl()}`, {
+                url: this.getManifestUrl()
+            });
+        }
+
+        // Dataset paths are relative to the manifest file (absolute paths and URLs are used as-is)
+        if (dataset.path.startsWith('/') || PathResolver._isUrl(dataset.path)) {
+            return this.resolve(dataset.path);
+        }
+        return this.resolve(`${this.dataDir}/${dataset.path}`);
+    }
+}
+
+PathResolver._shared = null;
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PathResolver;
+}
@@ -0,0 +1,501 @@
+/**
+ * Crema Query Builder
+ *
+ * Builds entity queries as a validated AST instead of hand-written query strings.
+ *
+ * Fluent form:
+ *   new CremaQuery()
+ *       .eq('data_type', 'donation')
+ *       .like('donor', 'O"Brien%')
+ *       .range('amount', { gte: 100 })
+ *       .or(q => q.eq('status', 'paid').eq('status', 'complete'))
+ *       .not(q => q.in('status', ['void', 'deleted']))
+ *       .sort('date', 'desc')
+ *       .select(['donor', 'amount', 'date'])
+ *       .limit(20)
+ *
+ * Object form (same AST):
+ *   CremaQuery.from({
+ *       where: { op: 'and', conditions: [{ op: 'eq', field: 'data_type', value: 'donation' }] },
+ *       sort: [{ field: 'date', direction: 'desc' }],
+ *       limit: 20
+ *   })
+ *
+ * AST condition nodes:
+ *   { op: 'eq', field, value }
+ *   { op: 'in', field, values: [...] }
+ *   { op: 'like', field, pattern }          - % matches any run of characters, _ a single character
+ *   { op: 'range', field, gt?, gte?, lt?, lte? }
+ *   { op: 'and' | 'or', conditions: [...] }
+ *   { op: 'not', condition }
+ */
+
+const QUERY_FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const QUERY_RANGE_BOUNDS = ['gt', 'gte', 'lt', 'lte'];
+const QUERY_RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+class CremaQuery {
+    constructor() {
+        this._conditions = [];
+        this._sort = [];
+        this._fields = null;
+        this._limit = null;
+        this._offset = null;
+    }
+
+    /**
+     * Build a query from its object form
+     * @param {Object} spec - { where, sort, fields, limit, offset }
+     * @returns {CremaQuery}
+     */
+    static from(spec = {}) {
+        const query = new CremaQuery();
+        if (spec.where) {
+            // A top-level AND is flattened so further fluent calls keep AND semantics
+            if (spec.where.op === 'and' && Array.isArray(spec.where.conditions)) {
+                query._conditions.push(...spec.where.conditions);
+            } else {
+                query._conditions.push(spec.where);
+            }
+        }
+        for (const sort of spec.sort || []) {
+            query.sort(sort.field, sort.direction);
+        }
+        if (spec.fields) {
+            query.select(spec.fields);
+        }
+        if (spec.limit !== undefined && spec.limit !== null) {
+            query.limit(spec.limit);
+        }
+        if (spec.offset !== undefined && spec.offset !== null) {
+            query.offset(spec.offset);
+        }
+        return query;
+    }
+
+    /**
+     * Field equals value
+     */
+    eq(field, value) {
+        return this._add({ op: 'eq', field, value });
+    }
+
+    /**
+     * Field is one of values
+     */
+    in(field, values) {
+        return this._add({ op: 'in', field, values });
+    }
+
+    /**
+     * Field matches a LIKE pattern (% = any run of characters, _ = one character)
+     */
+    like(field, pattern) {
+        return this._add({ op: 'like', field, pattern });
+    }
+
+    /**
+     * Field within bounds
+     * @param {string} field - Field name
+     * @param {Object} bounds - Any of { gt, gte, lt, lte }
+     */
+    range(field, bounds = {}) {
+        return this._add({ op: 'range', field, ...bounds });
+    }
+
+    /**
+     * Any of the conditions added inside the callback
+     * @param {Function} build - Receives a sub-query: q => q.eq(...).eq(...)
+     */
+    or(build) {
+        const sub = new CremaQuery();
+        build(sub);
+        return this._add({ op: 'or', conditions: sub._conditions });
+    }
+
+    /**
+     * All of the conditions added inside the callback (for nesting inside or/not)
+     * @param {Function} build - Receives a sub-query
+     */
+    and(build) {
+        const sub = new CremaQuery();
+        build(sub);
+        return this._add({ op: 'and', conditions: sub._conditions });
+    }
+
+    /**
+     * None of the conditions added inside the callback (NOT of their AND)
+     * @param {Function} build - Receives a sub-query
+     */
+    not(build) {
+        const sub = new CremaQuery();
+        build(sub);
+        const condition = sub._conditions.length === 1
+            ? sub._conditions[0]
+            : { op: 'and', conditions: sub._conditions };
+        return this._add({ op: 'not', condition });
+    }
+
+    /**
+     * Add a raw AST condition
+     * @param {Object} condition - AST condition node
+     */
+    where(condition) {
+        return this._add(condition);
+    }
+
+    /**
+     * Sort results (call repeatedly for secondary sorts)
+     * @param {string} field - Field name
+     * @param {string} direction - 'asc' (default) or 'desc'
+     */
+    sort(field, direction = 'asc') {
+        this._sort.push({ field, direction });
+        return this;
+    }
+
+    /**
+     * Only return these fields
+     * @param {Array<string>} fields - Field names
+     */
+    select(fields) {
+        this._fields = Array.isArray(fields) ? fields.slice() : [fields];
+        return this;
+    }
+
+    limit(limit) {
+        this._limit = limit;
+        return this;
+    }
+
+    offset(offset) {
+        this._offset = offset;
+        return this;
+    }
+
+    _add(condition) {
+        this._conditions.push(condition);
+        return this;
+    }
+
+    /**
+     * Compile to a validated AST
+     * @returns {Object} { where, sort, fields, limit, offset }
+     * @throws {Error} If any part of the query is invalid
+     */
+    compile() {
+        const where = this._conditions.length === 0
+            ? null
+            : this._conditions.length === 1
+                ? this._conditions[0]
+                : { op: 'and', conditions: this._conditions };
+
+        const ast = {
+            where: where ? CremaQuery.validateCondition(where, 'where') : null,
+            sort: this._sort.map((sort, i) => {
+                CremaQuery._validateField(sort.field, `sort[${i}].field`);
+                if (sort.direction !== 'asc' && sort.direction !== 'desc') {
+                    throw new Error(`Invalid query: sort[${i}].direction must be 'asc' or 'desc'`);
+                }
+                return { field: sort.field, direction: sort.direction };
+            }),
+            fields: this._fields ? this._fields.map((field, i) => {
+                CremaQuery._validateField(field, `fields[${i}]`);
+                return field;
+            }) : null,
+            limit: CremaQuery._validateCount(this._limit, 'limit'),
+            offset: CremaQuery._validateCount(this._offset, 'offset')
+        };
+        return ast;
+    }
+
+    /**
+     * Serialize the filter to the /api/query string syntax
+     * e.g. data_type = "donation" AND amount >= 100 AND (status = "paid" OR status = "complete")
+     * @returns {string}
+     */
+    toString() {
+        const { where } = this.compile();
+        return where ? CremaQuery._serialize(where, true) : '';
+    }
+
+    /**
+     * Request body for POST /api/query
+     * @returns {Object} { query, sort?, fields?, limit?, offset? }
+     */
+    toRequestBody() {
+        const ast = this.compile();
+        const body = { query: ast.where ? CremaQuery._serialize(ast.where, true) : '' };
+        if (ast.sort.length > 0) {
+            body.sort = ast.sort;
+        }
+        if (ast.fields) {
+            body.fields = ast.fields;
+        }
+        if (ast.limit !== null) {
+            body.limit = ast.limit;
+        }
+        if (ast.offset !== null) {
+            body.offset = ast.offset;
+        }
+        return body;
+    }
+
+    /**
+     * Validate an AST condition node (recursively)
+     * @param {Object} node - Condition node
+     * @param {string} path - Location used in error messages
+     * @returns {Object} The same node
+     * @throws {Error} If the node is invalid
+     */
+    static validateCondition(node, path = 'where') {
+        if (!node || typeof node !== 'object') {
+            throw new Error(`Invalid query: ${path} must be a condition object`);
+        }
+
+        switch (node.op) {
+            case 'eq':
+                CremaQuery._validateField(node.field, `${path}.field`);
+                CremaQuery._validateValue(node.value, `${path}.value`);
+                break;
+            case 'in':
+                CremaQuery._validateField(node.field, `${path}.field`);
+                if (!Array.isArray(node.values) || node.values.length === 0) {
+                    throw new Error(`Invalid query: ${path}.values must be a non-empty array`);
+                }
+                node.values.forEach((value, i) => CremaQuery._validateValue(value, `${path}.values[${i}]`));
+                break;
+            case 'like':
+                CremaQuery._validateField(node.field, `${path}.field`);
+                if (typeof node.pattern !== 'string' || node.pattern.length === 0) {
+                    throw new Error(`Invalid query: ${path}.pattern must be a non-empty string`);
+                }
+                break;
+            case 'range': {
+                CremaQuery._validateField(node.field, `${path}.field`);
+                const bounds = QUERY_RANGE_BOUNDS.filter(bound => node[bound] !== undefined && node[bound] !== null);
+                if (bounds.length === 0) {
+                    throw new Error(`Invalid query: ${path} needs at least one of gt, gte, lt, lte`);
+                }
+                if (node.gt !== undefined && node.gt !== null && node.gte !== undefined && node.gte !== null) {
+                    throw new Error(`Invalid query: ${path} cannot have both gt and gte`);
+                }
+                if (node.lt !== undefined && node.lt !== null && node.lte !== undefined && node.lte !== null) {
+                    throw new Error(`Invalid query: ${path} cannot have both lt and lte`);
+                }
+                bounds.forEach(bound => {
+                    const value = node[bound];
+                    if (typeof value !== 'number' && typeof value !== 'string') {
+                        throw new Error(`Invalid query: ${path}.${bound} must be a number or string`);
+                    }
+                    if (typeof value === 'number' && !Number.isFinite(value)) {
+                        throw new Error(`Invalid query: ${path}.${bound} must be finite`);
+                    }
+                });
+                break;
+            }
+            case 'and':
+            case 'or':
+                if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+                    throw new Error(`Invalid query: ${path}.conditions must be a non-empty array`);
+                }
+                node.conditions.forEach((child, i) => CremaQuery.validateCondition(child, `${path}.conditions[${i}]`));
+                break;
+            case 'not':
+                CremaQuery.validateCondition(node.condition, `${path}.condition`);
+                break;
+            default:
+                throw new Error(`Invalid query: ${path}.op '${node.op}' is not supported`);
+        }
+        return node;
+    }
+
+    static _validateField(field, path) {
+        if (typeof field !== 'string' || !QUERY_FIELD_PATTERN.test(field)) {
+            throw new Error(`Invalid query: ${path} '${field}' is not a valid field name`);
+        }
+    }
+
+    static _validateValue(value, path) {
+        const type = typeof value;
+        if (value !== null && type !== 'string' && type !== 'boolean' && !(type === 'number' && Number.isFinite(value))) {
+            throw new Error(`Invalid query: ${path} must be a string, finite number, boolean or null`);
+        }
+    }
+
+    static _validateCount(value, name) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid query: ${name} must be a non-negative integer`);
+        }
+        return value;
+    }
+
+    /**
+     * Evaluate an AST condition against a record (used for offline search in cache mode)
+     * String comparisons are case-insensitive, like the API's.
+     * @param {Object} node - Validated condition node
+     * @param {Object} record - { data_type, original_data, ... } or a plain object
+     * @returns {boolean}
+     */
+    static matches(node, record) {
+        switch (node.op) {
+            case 'eq':
+                return CremaQuery._equals(CremaQuery.getField(record, node.field), node.value);
+            case 'in': {
+                const value = CremaQuery.getField(record, node.field);
+                return node.values.some(candidate => CremaQuery._equals(value, candidate));
+            }
+            case 'like': {
+                const value = CremaQuery.getField(record, node.field);
+                return value !== null && value !== undefined && CremaQuery._likeRegex(node.pattern).test(String(value));
+            }
+            case 'range': {
+                const value = CremaQuery.getField(record, node.field);
+                if (value === null || value === undefined || value === '') {
+                    return false;
+                }
+                return QUERY_RANGE_BOUNDS.every(bound => {
+                    if (node[bound] === undefined || node[bound] === null) {
+                        return true;
+                    }
+                    const order = CremaQuery.compareValues(value, node[bound]);
+                    return bound === 'gt' ? order > 0
+                        : bound === 'gte' ? order >= 0
+                        : bound === 'lt' ? order < 0
+                        : order <= 0;
+                });
+            }
+            case 'and':
+                return node.conditions.every(child => CremaQuery.matches(child, record));
+            case 'or':
+                return node.conditions.some(child => CremaQuery.matches(child, record));
+            case 'not':
+                return !CremaQuery.matches(node.condition, record);
+            default:
+                throw new Error(`Invalid query: op '${node.op}' is not supported`);
+        }
+    }
+
+    /**
+     * Read a (dotted) field from a record: top-level result fields first, then original_data
+     * @param {Object} record - Record
+     * @param {string} field - Field name, e.g. 'amount' or 'address.city'
+     * @returns {*} Value or undefined
+     */
+    static getField(record, field) {
+        const read = (source) => field.split('.').reduce(
+            (value, key) => (value !== null && value !== undefined ? value[key] : undefined),
+            source
+        );
+        const topLevel = read(record);
+        return topLevel !== undefined ? topLevel : read(record?.original_data);
+    }
+
+    /**
+     * Compare two values - numerically when both look numeric, otherwise as strings
+     * (ISO dates sort correctly as strings)
+     * @returns {number} Negative, zero or positive
+     */
+    static compareValues(a, b) {
+        if (a === b) {
+            return 0;
+        }
+        if (a === null || a === undefined) {
+            return -1;
+        }
+        if (b === null || b === undefined) {
+            return 1;
+        }
+        const numA = typeof a === 'number' ? a : Number(a);
+        const numB = typeof b === 'number' ? b : Number(b);
+        if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) {
+            return numA - numB;
+        }
+        return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+    }
+
+    static _equals(value, expected) {
+        if (value === expected) {
+            return true;
+        }
+        if (value === null || value === undefined || expected === null) {
+            return false;
+        }
+        return CremaQuery.compareValues(value, expected) === 0;
+    }
+
+    /**
+     * Convert a LIKE pattern to a case-insensitive regex (\% and \_ match literally)
+     * @private
+     */
+    static _likeRegex(pattern) {
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '\\' && i + 1 < pattern.length) {
+                source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            } else if (char === '%') {
+                source += '.*';
+            } else if (char === '_') {
+                source += '.';
+            } else {
+                source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`, 'is');
+    }
+
+    /**
+     * Serialize a literal - strings are double-quoted with \ and " escaped
+     * @private
+     */
+    static _literal(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (typeof value === 'string') {
+            return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        }
+        return String(value);
+    }
+
+    /**
+     * @private
+     */
+    static _serialize(node, topLevel = false) {
+        switch (node.op) {
+            case 'eq':
+                return `${node.field} = ${CremaQuery._literal(node.value)}`;
+            case 'in':
+                return `${node.field} IN (${node.values.map(CremaQuery._literal).join(', ')})`;
+            case 'like':
+                return `${node.field} LIKE ${CremaQuery._literal(node.pattern)}`;
+            case 'range': {
+                const parts = QUERY_RANGE_BOUNDS
+                    .filter(bound => node[bound] !== undefined && node[bound] !== null)
+                    .map(bound => `${node.field} ${QUERY_RANGE_OPERATORS[bound]} ${CremaQuery._literal(node[bound])}`);
+                const joined = parts.join(' AND ');
+                return parts.length > 1 && !topLevel ? `(${joined})` : joined;
+            }
+            case 'and':
+            case 'or': {
+                const joined = node.conditions
+                    .map(child => CremaQuery._serialize(child))
+                    .join(node.op === 'and' ? ' AND ' : ' OR ');
+                return topLevel || node.conditions.length === 1 ? joined : `(${joined})`;
+            }
+            case 'not':
+                return `NOT (${CremaQuery._serialize(node.condition, true)})`;
+            default:
+                throw new Error(`Invalid query: op '${node.op}' is not supported`);
+        }
+    }
+}
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CremaQuery;
+}
@@ -0,0 +1,156 @@
+/**
+ * scrypt (RFC 7914) in plain JavaScript
+ *
+ * Memory-hard key derivation for `key_derivation: 'scrypt'` envelopes (see decrypt.js). Web Crypto
+ * has no scrypt, so the Salsa20/8 mixing runs here; the PBKDF2-HMAC-SHA256 steps at either end
+ * use Web Crypto. Memory use is 128 * r * n bytes (32 MB for n = 32768, r = 8), and the work
+ * blocks the thread it runs on - decrypt.js runs it in the decryption worker.
+ */
+
+/**
+ * Derive bytes from a password with scrypt
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {Object} params
+ * @param {number} params.n - CPU/memory cost, a power of 2
+ * @param {number} params.r - Block size
+ * @param {number} params.p - Parallelization
+ * @param {number} params.dkLen - Output length in bytes (default: 32)
+ * @returns {Promise<Uint8Array>}
+ */
+async function scrypt(password, salt, params) {
+    const { n, r, p, dkLen = 32 } = params;
+    if (!Number.isInteger(n) || n < 2 || (n & (n - 1)) !== 0) {
+        throw new Error(`scrypt: n must be a power of 2 greater than 1 (got ${n})`);
+    }
+    if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+        throw new Error(`scrypt: r and p must be positive integers (got r=${r}, p=${p})`);
+    }
+
+    const blockWords = 32 * r; // One 128 * r byte block as 32-bit words
+    const bytes = await pbkdf2Sha256(password, salt, p * 128 * r);
+    const words = new Uint32Array(p * blockWords);
+    for (let i = 0; i < words.length; i++) {
+        words[i] = readUint32(bytes, i * 4);
+    }
+
+    const v = new Uint32Array(n * blockWords);
+    const x = new Uint32Array(blockWords);
+    const y = new Uint32Array(blockWords);
+    for (let i = 0; i < p; i++) {
+        x.set(words.subarray(i * blockWords, (i + 1) * blockWords));
+        roMix(x, y, v, n, r);
+        words.set(x, i * blockWords);
+    }
+
+    for (let i = 0; i < words.length; i++) {
+        writeUint32(bytes, i * 4, words[i]);
+    }
+    return await pbkdf2Sha256(password, bytes, dkLen);
+}
+
+/**
+ * One PBKDF2-HMAC-SHA256 iteration (the scrypt outer steps)
+ * @private
+ */
+async function pbkdf2Sha256(password, salt, length) {
+    const keyMaterial = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: salt, iterations: 1, hash: 'SHA-256' },
+        keyMaterial,
+        length * 8
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * ROMix: fill v with n successive BlockMix states, then mix x with n pseudo-random entries of v
+ * @private
+ */
+function roMix(x, y, v, n, r) {
+    const blockWords = 32 * r;
+    for (let i = 0; i < n; i++) {
+        v.set(x, i * blockWords);
+        blockMix(x, y, r);
+    }
+    for (let i = 0; i < n; i++) {
+        // Integerify: first word of the last 64-byte block, modulo n
+        const j = x[blockWords - 16] & (n - 1);
+        const offset = j * blockWords;
+        for (let k = 0; k < blockWords; k++) {
+            x[k] ^= v[offset + k];
+        }
+        blockMix(x, y, r);
+    }
+}
+
+/**
+ * BlockMix with Salsa20/8 (result written back into b; y is scratch space)
+ * @private
+ */
+function blockMix(b, y, r) {
+    const t = b.slice((2 * r - 1) * 16, 2 * r * 16);
+    for (let i = 0; i < 2 * r; i++) {
+        for (let k = 0; k < 16; k++) {
+            t[k] ^= b[i * 16 + k];
+        }
+        salsa208(t);
+        // Even blocks go to the first half of the output, odd blocks to the second
+        y.set(t, ((i & 1) * r + (i >> 1)) * 16);
+    }
+    b.set(y);
+}
+
+/**
+ * Salsa20/8 core, in place on 16 words
+ * @private
+ */
+function salsa208(b) {
+    const x = b.slice();
+    const rotl = (a, s) => (a << s) | (a >>> (32 - s));
+    for (let i = 0; i < 8; i += 2) {
+        // Column round
+        x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+        x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+        x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+        x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+        x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+        x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+        x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+        x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+        // Row round
+        x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+        x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+        x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+        x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+        x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+        x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+        x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+        x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+    }
+    for (let i = 0; i < 16; i++) {
+        b[i] += x[i];
+    }
+}
+
+/**
+ * Little-endian word access (scrypt is defined on little-endian words)
+ * @private
+ */
+function readUint32(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function writeUint32(bytes, offset, value) {
+    bytes[offset] = value & 0xff;
+    bytes[offset + 1] = (value >>> 8) & 0xff;
+    bytes[offset + 2] = (value >>> 16) & 0xff;
+    bytes[offset + 3] = (value >>> 24) & 0xff;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        scrypt
+    };
+}
@@ -0,0 +1,343 @@
+/**
+ * Local Search Index - offline search for CremaClient cache mode
+ *
+ * Builds an inverted index over the (decrypted) Crema entity records in the static
+ * snapshot so search() and getEntityData() work without the Kandaq API.
+ *
+ * Records are collected from the Crema data's sources:
+ *   crema.sources[].entities  - entity records, either API-shaped ({ id, data_type, original_data })
+ *                               or plain records carrying their own data_type
+ *   crema.data_types          - [{ data_type | key, name, category }] labels and categories per type
+ *   crema.categories          - [{ key | category, name }] category labels
+ * A snapshot without entity records gives an empty index (see isEmpty()).
+ *
+ * Results use the API result shape ({ id, data_type, title, original_data, relevance_score })
+ * plus `highlights` ([{ field, snippet }]) for the results modal.
+ */
+
+// Fields whose matches weigh more than matches elsewhere in a record
+const SEARCH_BOOSTED_FIELDS = ['title', 'name', 'display_name', 'displayname', 'donor_name', 'customer_name', 'vendor_name', 'description'];
+const SEARCH_MAX_DEPTH = 4;
+
+class LocalSearchIndex {
+    constructor() {
+        this.documents = []; // [{ record, fields: [[path, text]] }]
+        this._postings = new Map(); // token -> Map(docIndex -> Set(fieldIndex))
+        this._sortedTokens = null; // Sorted token list for prefix lookups (built lazily)
+    }
+
+    /**
+     * Build an index from Crema data
+     * @param {Object} cremaData - Decrypted Crema data
+     * @returns {LocalSearchIndex}
+     */
+    static fromCremaData(cremaData) {
+        const index = new LocalSearchIndex();
+        if (!cremaData || typeof cremaData !== 'object') {
+            return index;
+        }
+
+        const categoryNames = new Map();
+        for (const category of Array.isArray(cremaData.categories) ? cremaData.categories : []) {
+            const key = category?.key || category?.category;
+            if (key) {
+                categoryNames.set(key, category.name || category.label || key);
+            }
+        }
+
+        const dataTypes = new Map();
+        for (const dataType of Array.isArray(cremaData.data_types) ? cremaData.data_types : []) {
+            const key = dataType?.data_type || dataType?.key;
+            if (key) {
+                dataTypes.set(key, dataType);
+            }
+        }
+
+        const sources = Array.isArray(cremaData.sources) ? cremaData.sources : [];
+        sources.forEach((source, sourceIndex) => {
+            const sourceName = source?.source_system || source?.source || source?.name || null;
+            (Array.isArray(source?.entities) ? source.entities : []).forEach((entity, i) => {
+                if (!entity || typeof entity !== 'object') {
+                    return;
+                }
+                const originalData = entity.original_data || entity;
+                const dataType = entity.data_type || entity.entity_type || originalData.data_type || null;
+                const typeInfo = dataTypes.get(dataType) || {};
+                const category = entity.category || typeInfo.category || null;
+                index.add({
+                    ...(entity.original_data ? entity : {}),
+                    id: entity.id ?? originalData.id ?? originalData.Id ?? `${dataType || 'entity'}_${sourceIndex}_${i}`,
+                    data_type: dataType,
+                    category,
+                    source: entity.source || sourceName,
+                    original_data: originalData
+                }, [typeInfo.name || typeInfo.label, category && (categoryNames.get(category) || category)]);
+            });
+        });
+
+        console.log(`🔎 Built local search index: ${index.documents.length} records, ${index._postings.size} terms`);
+        return index;
+    }
+
+    /**
+     * Split text into lowercase word tokens
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static tokenize(text) {
+        return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Whether the index has any records (false when the snapshot carries no entity data)
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.documents.length === 0;
+    }
+
+    /**
+     * Add a record to the index
+     * @param {Object} record - { id, data_type, original_data } or a plain object
+     * @param {Array<string>} labels - Extra searchable text (data type and category names)
+     */
+    add(record, labels = []) {
+        const normalized = record && record.original_data
+            ? record
+            : { id: record?.id, data_type: record?.data_type, original_data: record || {} };
+        const fields = [];
+        LocalSearchIndex._collectFields(normalized.original_data, '', fields, 0);
+        if (normalized.title) {
+            fields.push(['title', String(normalized.title)]);
+        }
+        labels.filter(Boolean).forEach(label => fields.push(['data_type', String(label)]));
+
+        const docIndex = this.documents.length;
+        this.documents.push({ record: normalized, fields });
+
+        fields.forEach(([, text], fieldIndex) => {
+            for (const token of LocalSearchIndex.tokenize(text)) {
+                if (!this._postings.has(token)) {
+                    this._postings.set(token, new Map());
+                }
+                const docs = this._postings.get(token);
+                if (!docs.has(docIndex)) {
+                    docs.set(docIndex, new Set());
+                }
+                docs.get(docIndex).add(fieldIndex);
+            }
+        });
+        this._sortedTokens = null;
+    }
+
+    /**
+     * Flatten searchable values into [path, text] pairs
+     * @private
+     */
+    static _collectFields(value, path, fields, depth) {
+        if (value === null || value === undefined || depth > SEARCH_MAX_DEPTH) {
+            return;
+        }
+        if (typeof value === 'string' || typeof value === 'number') {
+            fields.push([path || 'value', String(value)]);
+            return;
+        }
+        if (Array.isArray(value)) {
+            value.forEach(item => LocalSearchIndex._collectFields(item, path, fields, depth + 1));
+            return;
+        }
+        if (typeof value === 'object') {
+            for (const [key, child] of Object.entries(value)) {
+                LocalSearchIndex._collectFields(child, path ? `${path}.${key}` : key, fields, depth + 1);
+            }
+        }
+    }
+
+    /**
+     * Free-text search - every query term must match (the last term also matches as a prefix)
+     * @param {string} text - Search text
+     * @param {Object} options
+     * @param {string} options.data_type - Only return records of this type
+     * @param {Object} options.where - CremaQuery AST condition the records must also match
+     * @param {number} options.limit - Page size
+     * @param {number} options.offset - Page offset
+     * @returns {{ results: Array, total: number }}
+     */
+    search(text, options = {}) {
+        const terms = LocalSearchIndex.tokenize(text || '');
+        let scored;
+
+        if (terms.length === 0) {
+            // No text: every record matches (used for structured queries)
+            scored = this.documents.map((doc, docIndex) => ({ docIndex, score: 0, fieldIndexes: new Set() }));
+        } else {
+            scored = this._matchTerms(terms);
+        }
+
+        const Query = typeof CremaQuery === 'function' ? CremaQuery : require('./query-builder.js');
+        scored = scored.filter(({ docIndex }) => {
+            const record = this.documents[docIndex].record;
+            if (options.data_type && record.data_type !== options.data_type) {
+                return false;
+            }
+            return !options.where || Query.matches(options.where, record);
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+        const offset = options.offset || 0;
+        const page = options.limit === undefined || options.limit === null
+            ? scored.slice(offset)
+            : scored.slice(offset, offset + options.limit);
+
+        return {
+            results: page.map(({ docIndex, score, fieldIndexes }) => this._toResult(docIndex, score, fieldIndexes, terms)),
+            total: scored.length
+        };
+    }
+
+    /**
+     * Run a compiled CremaQuery AST (where, sort, fields, limit, offset)
+     * @param {Object} ast - Output of CremaQuery.compile()
+     * @returns {{ results: Array, total: number }}
+     */
+    query(ast) {
+        const Query = typeof CremaQuery === 'function' ? CremaQuery : require('./query-builder.js');
+        let records = this.documents
+            .map(doc => doc.record)
+            .filter(record => !ast.where || Query.matches(ast.where, record));
+
+        if (ast.sort && ast.sort.length > 0) {
+            records = records.slice().sort((a, b) => {
+                for (const { field, direction } of ast.sort) {
+                    const order = Query.compareValues(Query.getField(a, field), Query.getField(b, field));
+                    if (order !== 0) {
+                        return direction === 'desc' ? -order : order;
+                    }
+                }
+                return 0;
+            });
+        }
+
+        const total = records.length;
+        const offset = ast.offset || 0;
+        records = ast.limit === null || ast.limit === undefined
+            ? records.slice(offset)
+            : records.slice(offset, offset + ast.limit);
+
+        if (ast.fields) {
+            records = records.map(record => ({
+                ...record,
+                original_data: Object.fromEntries(ast.fields.map(field => [field, Query.getField(record, field)]))
+            }));
+        }
+
+        return { results: records, total };
+    }
+
+    /**
+     * Find documents containing every term and score them
+     * @private
+     */
+    _matchTerms(terms) {
+        let matches = null; // docIndex -> { score, fieldIndexes }
+
+        terms.forEach((term, i) => {
+            // Last term matches as a prefix so partially typed words still find results
+            const tokens = i === terms.length - 1 ? this._tokensWithPrefix(term) : (this._postings.has(term) ? [term] : []);
+            const termMatches = new Map();
+
+            for (const token of tokens) {
+                for (const [docIndex, fieldIndexes] of this._postings.get(token)) {
+                    const doc = this.documents[docIndex];
+                    const entry = termMatches.get(docIndex) || { score: 0, fieldIndexes: new Set() };
+                    for (const fieldIndex of fieldIndexes) {
+                        const fieldName = doc.fields[fieldIndex][0].split('.').pop().toLowerCase();
+                        // Exact token matches beat prefix matches; boosted fields beat the rest
+                        entry.score += (token === term ? 2 : 1) * (SEARCH_BOOSTED_FIELDS.includes(fieldName) ? 3 : 1);
+                        entry.fieldIndexes.add(fieldIndex);
+                    }
+                    termMatches.set(docIndex, entry);
+                }
+            }
+
+            if (matches === null) {
+                matches = termMatches;
+            } else {
+                for (const [docIndex, entry] of matches) {
+                    const termEntry = termMatches.get(docIndex);
+                    if (!termEntry) {
+                        matches.delete(docIndex);
+                    } else {
+                        entry.score += termEntry.score;
+                        termEntry.fieldIndexes.forEach(f => entry.fieldIndexes.add(f));
+                    }
+                }
+            }
+        });
+
+        return Array.from(matches || new Map(), ([docIndex, entry]) => ({ docIndex, ...entry }));
+    }
+
+    /**
+     * All indexed tokens starting with a prefix (binary search over sorted tokens)
+     * @private
+     */
+    _tokensWithPrefix(prefix) {
+        if (!this._sortedTokens) {
+            this._sortedTokens = Array.from(this._postings.keys()).sort();
+        }
+        const tokens = this._sortedTokens;
+        let low = 0;
+        let high = tokens.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (tokens[mid] < prefix) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        const found = [];
+        for (let i = low; i < tokens.length && tokens[i].startsWith(prefix); i++) {
+            found.push(tokens[i]);
+        }
+        return found;
+    }
+
+    /**
+     * Build an API-shaped result with highlight snippets
+     * @private
+     */
+    _toResult(docIndex, score, fieldIndexes, terms) {
+        const doc = this.documents[docIndex];
+        const highlights = Array.from(fieldIndexes).slice(0, 3).map(fieldIndex => {
+            const [field, text] = doc.fields[fieldIndex];
+            return { field, snippet: LocalSearchIndex._snippet(text, terms) };
+        });
+        return {
+            ...doc.record,
+            relevance_score: score,
+            highlights
+        };
+    }
+
+    /**
+     * Excerpt around the first matching term
+     * @private
+     */
+    static _snippet(text, terms, maxLength = 120) {
+        const lower = text.toLowerCase();
+        const position = terms
+            .map(term => lower.indexOf(term))
+            .filter(index => index >= 0)
+            .sort((a, b) => a - b)[0] ?? 0;
+        const start = Math.max(0, position - 40);
+        const end = Math.min(text.length, start + maxLength);
+        return (start > 0 ? '...' : '') + text.substring(start, end) + (end < text.length ? '...' : '');
+    }
+}
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalSearchIndex;
+}
@@ -0,0 +1,286 @@
+/**
+ * Snapshot Manager - single loader for the consolidated dashboard_data.json
+ *
+ * CremaClient and decrypt.js both read the same snapshot file. This manager makes sure
+ * a page downloads it once:
+ *   - Concurrent callers share one in-flight request
+ *   - Revalidation uses ETag / Last-Modified conditional requests (304 = keep parsed copy)
+ *   - Snapshots can be persisted through a cache storage backend (see cache-storage.js)
+ *     and served instantly on the next page load while they are revalidated
+ *   - Snapshots are upgraded to the current cache_version and checked against the schema
+ *     (see snapshot-schema.js) before anyone sees them; a file that fails is rejected with
+ *     an InvalidSnapshotError and the previous copy is kept
+ *
+ * The returned snapshot object is shared by every caller - treat it as read-only.
+ */
+
+class SnapshotManager {
+    /**
+     * @param {string} url - Snapshot file URL
+     * @param {Object} options
+     * @param {Object} options.storage - Cache storage backend used to persist the snapshot (optional)
+     * @param {number} options.maxAge - How long (ms) a snapshot may be served without confirming it
+     *                                  with the server; older snapshots are revalidated before use
+     * @param {number} options.revalidateInterval - Minimum time (ms) between background revalidations
+     * @param {HttpTransport} options.transport - Request layer (timeouts, retries) - see transport.js
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.storage = options.storage || null;
+        this.maxAge = options.maxAge ?? 3600000; // 1 hour in ms
+        this.revalidateInterval = options.revalidateInterval ?? 10000; // 10 seconds in ms
+        this.transport = options.transport || null; // Default transport is created on first request
+
+        this._snapshot = null; // { data, etag, last_modified, cached_at, cache_version, schema_version, timestamp }
+        this._restored = null; // Promise - persisted snapshot loaded from storage
+        this._inFlight = null; // Promise - shared network request
+    }
+
+    /**
+     * Get the shared manager for a URL (one per snapshot file per page)
+     * Options only fill in settings the existing manager doesn't have yet (storage, transport).
+     * @param {string} url - Snapshot file URL
+     * @param {Object} options - Constructor options
+     * @returns {SnapshotManager}
+     */
+    static shared(url, options = {}) {
+        const key = SnapshotManager._normalizeUrl(url);
+        let manager = SnapshotManager._registry.get(key);
+        if (!manager) {
+            manager = new SnapshotManager(url, options);
+            SnapshotManager._registry.set(key, manager);
+        } else if (options.storage && !manager.storage) {
+            manager.storage = options.storage;
+            manager._restored = null;
+        }
+        if (options.transport && !manager.transport) {
+            manager.transport = options.transport;
+        }
+        return manager;
+    }
+
+    /**
+     * Resolve a URL against the current page so relative and absolute forms share a manager
+     * @private
+     */
+    static _normalizeUrl(url) {
+        if (typeof window !== 'undefined' && window.location) {
+            return new URL(url, window.location.href).href;
+        }
+        return url;
+    }
+
+    /**
+     * Get the snapshot data
+     * Serves the current (or persisted) snapshot immediately and revalidates it in the
+     * background; waits for the network only when there is no snapshot yet or it is
+     * older than maxAge.
+     * @param {Object} options
+     * @param {boolean} options.revalidate - Force a (conditional) request before returning
+     * @returns {Promise<Object>} Parsed dashboard_data.json
+     */
+    async get(options = {}) {
+        const snapshot = await this._current();
+
+        if (!snapshot || options.revalidate) {
+            return (await this.revalidate()).data;
+        }
+
+        const age = Date.now() - snapshot.timestamp;
+        if (age >= this.maxAge) {
+            try {
+                return (await this.revalidate()).data;
+            } catch (e) {
+                // Server unreachable - stale data is better than no dashboard
+                console.warn(`⚠️ Could not revalidate snapshot, serving stale copy: ${e.message}`);
+                return snapshot.data;
+            }
+        }
+
+        if (age >= this.revalidateInterval) {
+            this.revalidate().catch(e => {
+                console.warn(`⚠️ Background snapshot revalidation failed: ${e.message}`);
+            });
+        }
+        return snapshot.data;
+    }
+
+    /**
+     * Get the current snapshot record without any network activity
+     * @returns {Object|null} { data, etag, last_modified, cached_at, cache_version, schema_version, timestamp }
+     */
+    peek() {
+        return this._snapshot;
+    }
+
+    /**
+     * Check the server for a newer snapshot (conditional request)
+     * Concurrent calls share the same request.
+     * @returns {Promise<Object>} Snapshot record
+     */
+    revalidate() {
+        if (!this._inFlight) {
+            this._inFlight = this._fetchSnapshot().finally(() => {
+                this._inFlight = null;
+            });
+        }
+        return this._inFlight;
+    }
+
+    /**
+     * Drop the snapshot from memory and storage
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this._snapshot = null;
+        this._restored = Promise.resolve();
+        if (this.storage) {
+            try {
+                await this.storage.delete(this._storageKey());
+            } catch (e) {
+                console.warn('⚠️ Could not clear persisted snapshot:', e.message);
+            }
+        }
+    }
+
+    /**
+     * Current snapshot, restoring it from storage on first use
+     * @private
+     */
+    async _current() {
+        if (!this._restored) {
+            this._restored = this._restore();
+        }
+        await this._restored;
+        return this._snapshot;
+    }
+
+    /**
+     * Load a persisted snapshot from the storage backend
+     * @private
+     */
+    async _restore() {
+        if (!this.storage || this._snapshot) {
+            return;
+        }
+        try {
+            const stored = await this.storage.get(this._storageKey());
+            if (stored && stored.data && !this._snapshot) {
+                // Copies persisted by an older dashboard are upgraded like fresh downloads
+                const schema = this._schema();
+                this._snapshot = stored.schema_version === schema.SNAPSHOT_SCHEMA_VERSION
+                    ? stored
+                    : { ...stored, data: schema.prepareSnapshot(stored.data), schema_version: schema.SNAPSHOT_SCHEMA_VERSION };
+                console.log(`💾 Restored snapshot (cached_at ${stored.cached_at}) from ${this.storage.name} storage`);
+            }
+        } catch (e) {
+            console.warn('⚠️ Could not read persisted snapshot:', e.message);
+        }
+    }
+
+    _storageKey() {
+        return `snapshot:${SnapshotManager._normalizeUrl(this.url)}`;
+    }
+
+    /**
+     * Fetch the snapshot, sending validators from the current copy
+     * @private
+     */
+    async _fetchSnapshot() {
+        const current = await this._current();
+        const headers = {};
+        if (current?.etag) {
+            headers['If-None-Match'] = current.etag;
+        }
+        if (current?.last_modified) {
+            headers['If-Modified-Since'] = current.last_modified;
+        }
+
+        // 'no-cache' revalidates with the server but still lets 304s reach us
+        const response = await this._getTransport().request(this.url, {
+            cache: 'no-cache',
+            headers,
+            allowStatus: [304, 404]
+        });
+
+        if (response.status === 304 && current) {
+            this._snapshot = { ...current, timestamp: Date.now() };
+            await this._persist();
+            return this._snapshot;
+        }
+
+        const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+        if (!response.ok) {
+            throw new errors.CacheMissError(`Cache file not found: ${this.url}`, { url: this.url });
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new errors.InvalidSnapshotError(`Cache file is not valid JSON: ${this.url}`, { cause: e });
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new errors.InvalidSnapshotError(`Cache file does not contain a snapshot object: ${this.url}`);
+        }
+        const schema = this._schema();
+        data = schema.prepareSnapshot(data);
+        if (current && (current.cached_at !== data.cached_at || current.cache_version !== data.cache_version)) {
+            console.log(`🔄 Snapshot updated (${current.cached_at} → ${data.cached_at})`);
+        }
+
+        this._snapshot = {
+            data,
+            etag: response.headers.get('ETag'),
+            last_modified: response.headers.get('Last-Modified'),
+            cached_at: data.cached_at,
+            cache_version: data.cache_version,
+            schema_version: schema.SNAPSHOT_SCHEMA_VERSION,
+            timestamp: Date.now()
+        };
+        await this._persist();
+        return this._snapshot;
+    }
+
+    /**
+     * @private
+     */
+    _getTransport() {
+        if (!this.transport) {
+            const Transport = typeof HttpTransport === 'function' ? HttpTransport : require('./transport.js');
+            this.transport = new Transport();
+        }
+        return this.transport;
+    }
+
+    /**
+     * @private
+     */
+    _schema() {
+        return typeof prepareSnapshot === 'function'
+            ? { prepareSnapshot, SNAPSHOT_SCHEMA_VERSION }
+            : require('./snapshot-schema.js');
+    }
+
+    /**
+     * Write the current snapshot to the storage backend (best-effort)
+     * @private
+     */
+    async _persist() {
+        if (!this.storage || !this._snapshot) {
+            return;
+        }
+        try {
+            await this.storage.set(this._storageKey(), this._snapshot);
+        } catch (e) {
+            console.warn('⚠️ Could not persist snapshot:', e.message);
+        }
+    }
+}
+
+SnapshotManager._registry = new Map();
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotManager;
+}
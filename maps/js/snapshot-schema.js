@@ -0,0 +1,344 @@
+/**
+ * Snapshot Schema - validation and cache_version migrations for dashboard_data.json
+ *
+ * SNAPSHOT_SCHEMA describes the snapshot file and RANGE_PAYLOAD_SCHEMA one (decrypted) range in
+ * `metrics.<range>`. Schema nodes are plain objects:
+ *   type        'object', 'array', 'string', 'number', 'boolean', 'null' or a list of those
+ *   required    Keys an object must have
+ *   properties  Schemas of known keys (other keys are allowed)
+ *   values      Schema of every other key's value (objects) or of every item (arrays)
+ *   encrypted   An encrypted node ({ _encrypted: true, _data }) is accepted instead
+ *
+ * validateSnapshot() and validateRangePayload() return { valid, problems }, each problem being
+ * { path, message } with the JSON path of the offending value (e.g. 'metrics.this_year.metrics').
+ *
+ * Files written for an older cache_version are upgraded in memory by MIGRATIONS before they are
+ * validated; a file without cache_version is treated as version '0'. Migrations never touch the
+ * top-level metadata (tenant_id, cached_at, cache_version, ...) - encrypted snapshots authenticate
+ * it, so the file's own cache_version stays as written and decides which payload migrations run.
+ * Encrypted ranges are migrated and validated when they are decrypted (prepareRangePayload()).
+ */
+
+// Newest cache_version this dashboard understands
+const SNAPSHOT_SCHEMA_VERSION = '1.0';
+
+// { _encrypted: true, _data: '<base64>' } (written by encrypt.js / the generator)
+const ENCRYPTED_NODE_SCHEMA = {
+    type: 'object',
+    required: ['_encrypted', '_data'],
+    properties: {
+        _encrypted: { type: 'boolean' },
+        _data: { type: 'string' }
+    }
+};
+
+const RANGE_PAYLOAD_SCHEMA = {
+    type: 'object',
+    required: ['metrics'],
+    properties: {
+        date_range: {
+            type: 'object',
+            properties: {
+                start: { type: ['string', 'null'] },
+                end: { type: ['string', 'null'] }
+            }
+        },
+        timestamp: { type: ['string', 'null'] },
+        metrics: {
+            type: 'object',
+            properties: {
+                revenue_by_source: {
+                    type: 'object',
+                    properties: {
+                        sources: {
+                            type: 'object',
+                            values: {
+                                type: 'object',
+                                properties: {
+                                    total: { type: ['number', 'string', 'null'] }
+                                }
+                            }
+                        }
+                    }
+                },
+                account_totals: {
+                    type: 'object',
+                    properties: {
+                        income_accounts: { type: 'array' },
+                        expense_accounts: { type: 'array' }
+                    }
+                }
+            }
+        },
+        source_targets: { type: 'object' },
+        board_analyses: { type: 'object' },
+        nonprofit_kpis: { type: 'object' }
+    }
+};
+
+const SNAPSHOT_SCHEMA = {
+    type: 'object',
+    required: ['tenant_id', 'metrics'],
+    properties: {
+        tenant_id: { type: 'string' },
+        business_type: { type: ['string', 'null'] },
+        timestamp: { type: ['string', 'null'] },
+        cached_at: { type: ['string', 'null'] },
+        cache_version: { type: 'string' },
+        crema: { type: 'object', encrypted: true },
+        metrics: { type: 'object', values: { ...RANGE_PAYLOAD_SCHEMA, encrypted: true } },
+        source_targets: { type: 'object', values: { type: ['object', 'number', 'null'], encrypted: true } },
+        _encryption: { type: 'object' }
+    }
+};
+
+/**
+ * Upgrades from one cache_version to the next, in order
+ * `snapshot` rewrites the (encrypted) snapshot structure, `payload` one decrypted range payload.
+ * Both return new objects and must be safe to run on data that is already upgraded.
+ */
+const MIGRATIONS = [
+    {
+        from: '0',
+        to: '1.0',
+        payload: payload => {
+            const upgraded = { ...payload };
+            // Early generators wrote the metrics at the top of the range payload
+            if (upgraded.metrics === undefined) {
+                const { date_range, timestamp, source_targets, boardAnalyses, board_analyses, board_analyses_data, nonprofit_kpis, ...metrics } = upgraded;
+                for (const key of Object.keys(metrics)) {
+                    delete upgraded[key];
+                }
+                upgraded.metrics = metrics;
+            }
+            // ...and used other names for the board analyses
+            for (const legacy of ['boardAnalyses', 'board_analyses_data']) {
+                if (upgraded[legacy] !== undefined) {
+                    if (upgraded.board_analyses === undefined) {
+                        upgraded.board_analyses = upgraded[legacy];
+                    }
+                    delete upgraded[legacy];
+                }
+            }
+            return upgraded;
+        }
+    }
+];
+
+/**
+ * Upgrade a parsed snapshot to SNAPSHOT_SCHEMA_VERSION and validate it
+ * Unencrypted range payloads are upgraded too; encrypted ones are left to prepareRangePayload().
+ * @param {Object} snapshot - Parsed dashboard_data.json (not modified)
+ * @returns {Object} Upgraded snapshot (the same object when nothing changed)
+ * @throws {InvalidSnapshotError} When the file is newer than this dashboard or doesn't match the schema
+ */
+function prepareSnapshot(snapshot) {
+    const upgraded = migrateSnapshot(snapshot);
+    throwOnProblems(validateSnapshot(upgraded), 'Snapshot');
+    return upgraded;
+}
+
+/**
+ * Upgrade a (decrypted) range payload to SNAPSHOT_SCHEMA_VERSION and validate it
+ * @param {Object} payload - One range from `metrics.<range>` (not modified)
+ * @param {Object} options
+ * @param {string} options.version - cache_version of the snapshot it came from (missing: '0')
+ * @param {string} options.path - JSON path reported in problems (default: 'metrics')
+ * @returns {Object} Upgraded payload
+ * @throws {InvalidSnapshotError} When the payload doesn't match the schema
+ */
+function prepareRangePayload(payload, options = {}) {
+    const path = options.path || 'metrics';
+    const upgraded = migrateRangePayload(payload, options.version);
+    throwOnProblems(validateRangePayload(upgraded, path), `Range '${path}'`);
+    return upgraded;
+}
+
+/**
+ * Run the snapshot migrations for the file's cache_version
+ * @param {Object} snapshot - Parsed dashboard_data.json (not modified)
+ * @returns {Object} Upgraded snapshot (the same object when nothing changed)
+ * @throws {InvalidSnapshotError} When cache_version is newer than SNAPSHOT_SCHEMA_VERSION
+ */
+function migrateSnapshot(snapshot) {
+    const steps = migrationSteps(snapshot?.cache_version);
+    if (!steps.length || !snapshot || typeof snapshot !== 'object') {
+        return snapshot;
+    }
+    let upgraded = snapshot;
+    for (const step of steps) {
+        if (step.snapshot) {
+            upgraded = step.snapshot(upgraded);
+        }
+    }
+
+    // Plain range payloads can be upgraded now; encrypted ones when they are decrypted
+    if (upgraded.metrics && typeof upgraded.metrics === 'object' && !Array.isArray(upgraded.metrics)) {
+        const metrics = {};
+        for (const [range, payload] of Object.entries(upgraded.metrics)) {
+            metrics[range] = isEncryptedNode(payload) ? payload : migrateRangePayload(payload, snapshot.cache_version);
+        }
+        upgraded = { ...upgraded, metrics };
+    }
+    console.log(`🔄 Upgraded snapshot from cache_version ${snapshot.cache_version ?? '(none)'} to ${SNAPSHOT_SCHEMA_VERSION}`);
+    return upgraded;
+}
+
+/**
+ * Run the payload migrations for a cache_version
+ * @param {Object} payload - One range from `metrics.<range>` (not modified)
+ * @param {string} version - cache_version of the snapshot it came from (missing: '0')
+ * @returns {Object} Upgraded payload (the same object when nothing changed)
+ * @throws {InvalidSnapshotError} When the version is newer than SNAPSHOT_SCHEMA_VERSION
+ */
+function migrateRangePayload(payload, version) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return payload;
+    }
+    let upgraded = payload;
+    for (const step of migrationSteps(version)) {
+        if (step.payload) {
+            upgraded = step.payload(upgraded);
+        }
+    }
+    return upgraded;
+}
+
+/**
+ * Check a snapshot against SNAPSHOT_SCHEMA (including any unencrypted range payloads)
+ * @param {Object} snapshot - Snapshot to check
+ * @returns {Object} { valid, problems: [{ path, message }] }
+ */
+function validateSnapshot(snapshot) {
+    const problems = [];
+    checkNode(snapshot, SNAPSHOT_SCHEMA, '', problems);
+    return { valid: problems.length === 0, problems };
+}
+
+/**
+ * Check a decrypted range payload against RANGE_PAYLOAD_SCHEMA
+ * @param {Object} payload - Payload to check
+ * @param {string} path - JSON path of the payload, prefixed to problem paths (default: '')
+ * @returns {Object} { valid, problems: [{ path, message }] }
+ */
+function validateRangePayload(payload, path = '') {
+    const problems = [];
+    checkNode(payload, RANGE_PAYLOAD_SCHEMA, path, problems);
+    return { valid: problems.length === 0, problems };
+}
+
+/**
+ * Migrations needed to bring a cache_version up to SNAPSHOT_SCHEMA_VERSION
+ * @private
+ */
+function migrationSteps(version) {
+    const from = version === undefined || version === null || version === '' ? '0' : String(version);
+    if (compareVersions(from, SNAPSHOT_SCHEMA_VERSION) > 0) {
+        const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+        throw new errors.InvalidSnapshotError(
+            `Snapshot cache_version ${from} is newer than this dashboard supports (${SNAPSHOT_SCHEMA_VERSION}) - reload the page to update it`,
+            { cacheVersion: from, supportedVersion: SNAPSHOT_SCHEMA_VERSION }
+        );
+    }
+    // Every step that ends above the file's version - including one the version falls inside (e.g. '0.9')
+    return MIGRATIONS.filter(step => compareVersions(step.to, from) > 0);
+}
+
+/**
+ * Compare dotted versions numerically ('1.10' > '1.9'); returns -1, 0 or 1
+ * @private
+ */
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) {
+            return difference > 0 ? 1 : -1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * @private
+ */
+function isEncryptedNode(value) {
+    return !!value && typeof value === 'object' && value._encrypted === true;
+}
+
+/**
+ * Check a value against a schema node, collecting { path, message } problems
+ * @private
+ */
+function checkNode(value, schema, path, problems) {
+    if (schema.encrypted && isEncryptedNode(value)) {
+        checkNode(value, ENCRYPTED_NODE_SCHEMA, path, problems);
+        return;
+    }
+
+    const types = [].concat(schema.type || []);
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (types.length && !types.includes(actual)) {
+        problems.push({ path: path || '(root)', message: `expected ${types.join(' or ')}, found ${actual}` });
+        return;
+    }
+
+    if (actual === 'array' && schema.values) {
+        value.forEach((item, index) => checkNode(item, schema.values, `${path}[${index}]`, problems));
+    }
+    if (actual !== 'object') {
+        return;
+    }
+    for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+            problems.push({ path: joinPath(path, key), message: 'missing' });
+        }
+    }
+    for (const [key, item] of Object.entries(value)) {
+        const itemSchema = schema.properties?.[key] || schema.values;
+        if (itemSchema && item !== undefined) {
+            checkNode(item, itemSchema, joinPath(path, key), problems);
+        }
+    }
+}
+
+/**
+ * @private
+ */
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Throw an InvalidSnapshotError listing the first few problems
+ * @private
+ */
+function throwOnProblems(result, subject) {
+    if (result.valid) {
+        return;
+    }
+    const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+    const listed = result.problems.slice(0, 3).map(problem => `${problem.path}: ${problem.message}`).join('; ');
+    const more = result.problems.length > 3 ? ` (and ${result.problems.length - 3} more)` : '';
+    throw new errors.InvalidSnapshotError(
+        `${subject} does not match the dashboard_data.json schema - ${listed}${more}`,
+        { problems: result.problems }
+    );
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SNAPSHOT_SCHEMA_VERSION,
+        SNAPSHOT_SCHEMA,
+        RANGE_PAYLOAD_SCHEMA,
+        MIGRATIONS,
+        prepareSnapshot,
+        prepareRangePayload,
+        migrateSnapshot,
+        migrateRangePayload,
+        validateSnapshot,
+        validateRangePayload
+    };
+}
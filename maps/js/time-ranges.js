@@ -0,0 +1,656 @@
+/**
+ * Time Ranges - range ids, date spans and composition from snapshot buckets
+ *
+ * A time range is either a range id string or an explicit { start, end } span:
+ *   today, this_week, ..., last_year    Presets - dates follow the tenant calendar and today's date
+ *   day_YYYY_MM_DD                      One day
+ *   month_YYYY_MM                       Calendar month
+ *   quarter_YYYY_Qn                     Calendar quarter (n = 1-4)
+ *   year_YYYY                           Calendar year
+ *   fiscal_year_YYYY                    Fiscal year, named for the calendar year it ends in
+ *   { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }   Any span of whole days, both ends included
+ *                                       (id: range_YYYY-MM-DD_YYYY-MM-DD)
+ *
+ * Snapshots publish day/month/quarter/year ranges as buckets under `metrics` (e.g. metrics.month_2025_03).
+ * A range the snapshot doesn't publish is composed from the coarsest buckets that exactly cover it
+ * (see planRangeComposition) and their payloads are combined (see combineRangeData). Published presets
+ * count as buckets for the dates they had when the snapshot was made (options.publishedAt).
+ * Dates are calendar dates with no timezone.
+ *
+ * The tenant calendar (options.fiscalYearStartMonth, weekStartDay and timeZone - see normalizeCalendar)
+ * decides what the presets cover: this_year/last_year are fiscal years and this_quarter/last_quarter
+ * fiscal quarters, weeks start on weekStartDay, and "today" is today in timeZone. month_, quarter_ and
+ * year_ ids are always calendar periods. checkDateRange() compares a range with the date_range the
+ * snapshot or API returned for it.
+ *
+ * When a range can be neither found nor composed, the fallback policy decides what happens
+ * (see resolveTimeRange):
+ *   'strict'                          TimeRangeNotFoundError
+ *   'broaden' (default)               Serve the first published range from DEFAULT_RANGE_FALLBACKS
+ *   { today: ['this_week'], ... }     Serve the first published range from this map
+ * Substituted data is flagged: results carry requested_range, served_range and is_fallback.
+ */
+
+const PRESET_TIME_RANGES = [
+    'today', 'this_week', 'this_month', 'this_quarter', 'this_year',
+    'last_week', 'last_month', 'last_quarter', 'last_year', 'all_time'
+];
+
+// 'broaden' policy: ranges to serve instead, in order, when one isn't published
+const DEFAULT_RANGE_FALLBACKS = {
+    'today': ['this_week', 'this_month', 'this_year'],
+    'this_week': ['this_month', 'this_year'],
+    'last_week': ['this_month', 'this_year', 'last_month'],
+    'this_month': ['this_quarter', 'this_year'],
+    'last_month': ['this_quarter', 'this_year', 'last_quarter', 'last_year'],
+    'this_quarter': ['this_year'],
+    'last_quarter': ['this_year', 'last_year'],
+    'last_year': ['this_year', 'all_time'],
+    'all_time': ['this_year']
+};
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DAY_MS = 86400000;
+
+// Calendar used when a tenant doesn't configure one
+//   fiscalYearStartMonth  First month of the fiscal year, 1-12
+//   weekStartDay          First day of the week, 0-6 (0 = Sunday, 1 = Monday)
+//   timeZone              IANA zone "today" is taken in (null: the viewer's zone)
+const DEFAULT_CALENDAR = { fiscalYearStartMonth: 1, weekStartDay: 1, timeZone: null };
+
+// Intl.DateTimeFormat per time zone (creating one is slow)
+const ZONE_FORMATTERS = new Map();
+
+// Values that can't be summed across buckets (margins, ratios, averages, de-duplicated counts such as
+// donor or member counts, where one donor appears in several buckets) - left out of composed ranges.
+// Other counts (transaction_count, donation_count, ...) are summed like amounts.
+const NON_ADDITIVE_KEY = /(^|_)(margin|percent|percentage|ratio|rate|average|avg|pct)(_|$)|(^|_)(donor|member)s?_count$|^unique_/;
+
+// Fields that identify a list entry (e.g. an account or donor) across buckets, in order of preference
+const LIST_ITEM_KEYS = ['id', 'account_id', 'account_name', 'donor_id', 'donor_name', 'name'];
+
+// Amount fields that merged lists are sorted by, largest first
+const LIST_SORT_KEYS = ['total_amount', 'amount', 'total'];
+
+/**
+ * Parse a range id or { start, end } span
+ * @param {string|Object} range - See the module comment
+ * @param {Object} options - Tenant calendar (see normalizeCalendar), plus:
+ * @param {Date|number} options.now - Moment presets are computed for (default: now)
+ * @returns {Object} { id, kind, start, end } - kind is 'preset', 'day', 'month', 'quarter', 'year',
+ *                   'fiscal_year' or 'custom'; start/end are 'YYYY-MM-DD' (null for all_time)
+ */
+function parseTimeRange(range, options = {}) {
+    if (range && typeof range === 'object') {
+        return customRange(range.start, range.end);
+    }
+    if (typeof range !== 'string' || !range) {
+        throw new Error(`Invalid time range: ${JSON.stringify(range)}`);
+    }
+    if (PRESET_TIME_RANGES.includes(range)) {
+        return presetRange(range, options);
+    }
+
+    let match;
+    if ((match = /^day_(\d{4})_(\d{2})_(\d{2})$/.exec(range))) {
+        const day = formatDay(dayNumber(+match[1], +match[2], +match[3]));
+        if (day !== `${match[1]}-${match[2]}-${match[3]}`) {
+            throw new Error(`Invalid time range: "${range}" is not a calendar date`);
+        }
+        return { id: range, kind: 'day', start: day, end: day };
+    }
+    if ((match = /^month_(\d{4})_(\d{2})$/.exec(range))) {
+        const [year, month] = [+match[1], +match[2]];
+        if (month < 1 || month > 12) {
+            throw new Error(`Invalid time range: "${range}" (month must be 01-12)`);
+        }
+        return spanRange(range, 'month', year, month, 1);
+    }
+    if ((match = /^quarter_(\d{4})_Q([1-4])$/.exec(range))) {
+        return spanRange(range, 'quarter', +match[1], (+match[2] - 1) * 3 + 1, 3);
+    }
+    if ((match = /^year_(\d{4})$/.exec(range))) {
+        return spanRange(range, 'year', +match[1], 1, 12);
+    }
+    if ((match = /^fiscal_year_(\d{4})$/.exec(range))) {
+        const startMonth = normalizeCalendar(options).fiscalYearStartMonth;
+        // FY2025 starting in July runs July 2024 - June 2025
+        return spanRange(range, 'fiscal_year', startMonth === 1 ? +match[1] : +match[1] - 1, startMonth, 12);
+    }
+    if ((match = /^range_(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})$/.exec(range))) {
+        return customRange(match[1], match[2]);
+    }
+
+    throw new Error(`Invalid time range: "${range}". Use a preset (${PRESET_TIME_RANGES.join(', ')}), month_YYYY_MM, quarter_YYYY_Qn, year_YYYY, fiscal_year_YYYY, day_YYYY_MM_DD or { start, end }`);
+}
+
+/**
+ * Canonical id for a range (used as a key for labels, subscriptions and source targets)
+ * @param {string|Object} range - Range id or { start, end }
+ * @returns {string}
+ */
+function timeRangeId(range, options = {}) {
+    return parseTimeRange(range, options).id;
+}
+
+/**
+ * Query string for the live API: time_range=<id>, start/end for ranges with dates, and the tenant
+ * calendar (fiscal_year_start_month, week_start_day, timezone) so the server computes the same periods
+ * @param {string|Object} range - Range id or { start, end }
+ * @returns {string} e.g. 'time_range=month_2025_03&start=2025-03-01&end=2025-03-31&fiscal_year_start_month=1&...'
+ */
+function timeRangeQuery(range, options = {}) {
+    const parsed = parseTimeRange(range, options);
+    const calendar = normalizeCalendar(options);
+    const params = new URLSearchParams({ time_range: parsed.id });
+    if (parsed.start) {
+        params.set('start', parsed.start);
+        params.set('end', parsed.end);
+    }
+    params.set('fiscal_year_start_month', calendar.fiscalYearStartMonth);
+    params.set('week_start_day', calendar.weekStartDay);
+    params.set('timezone', calendar.timeZone);
+    return params.toString();
+}
+
+/**
+ * Validate a tenant calendar and fill in the defaults (DEFAULT_CALENDAR)
+ * @param {Object} calendar
+ * @param {number} calendar.fiscalYearStartMonth - First month of the fiscal year, 1-12 (default: 1)
+ * @param {number} calendar.weekStartDay - First day of the week, 0 = Sunday ... 6 = Saturday (default: 1)
+ * @param {string} calendar.timeZone - IANA time zone, e.g. 'America/Chicago' (default: the viewer's zone)
+ * @returns {Object} { fiscalYearStartMonth, weekStartDay, timeZone } - timeZone in its canonical form
+ */
+function normalizeCalendar(calendar = {}) {
+    const fiscalYearStartMonth = calendar.fiscalYearStartMonth ?? DEFAULT_CALENDAR.fiscalYearStartMonth;
+    if (!Number.isInteger(fiscalYearStartMonth) || fiscalYearStartMonth < 1 || fiscalYearStartMonth > 12) {
+        throw new Error(`Invalid fiscalYearStartMonth: ${fiscalYearStartMonth} (must be 1-12)`);
+    }
+    const weekStartDay = calendar.weekStartDay ?? DEFAULT_CALENDAR.weekStartDay;
+    if (!Number.isInteger(weekStartDay) || weekStartDay < 0 || weekStartDay > 6) {
+        throw new Error(`Invalid weekStartDay: ${weekStartDay} (must be 0-6, 0 = Sunday)`);
+    }
+    const timeZone = zoneFormatter(calendar.timeZone || DEFAULT_CALENDAR.timeZone).resolvedOptions().timeZone;
+    return { fiscalYearStartMonth, weekStartDay, timeZone };
+}
+
+/**
+ * Compare the date_range returned for a range with the dates the calendar gives it
+ * Data for part of the period (e.g. this_year to date) matches: date_range must start on the same day
+ * and end inside the period.
+ * @param {string|Object} range - Range id or { start, end }
+ * @param {Object} dateRange - { start, end } from the snapshot or API ('YYYY-MM-DD', times are ignored)
+ * @param {Object} options - parseTimeRange options
+ * @returns {Object} { expected, matches } - expected is { start, end } (null for all_time); matches is
+ *                   null when there is nothing to compare
+ */
+function checkDateRange(range, dateRange, options = {}) {
+    const parsed = parseTimeRange(range, options);
+    const expected = parsed.start ? { start: parsed.start, end: parsed.end } : null;
+    const start = parseDay(String(dateRange?.start ?? '').slice(0, 10));
+    const end = parseDay(String(dateRange?.end ?? '').slice(0, 10));
+    if (!expected || !Number.isFinite(start) || !Number.isFinite(end)) {
+        return { expected, matches: null };
+    }
+    return {
+        expected,
+        matches: start === parseDay(expected.start) && end >= start && end <= parseDay(expected.end)
+    };
+}
+
+/**
+ * The period before a range, for period-over-period comparison
+ * this_week/month/quarter/year -> last_*, a month/quarter/year/fiscal year/day -> the one before,
+ * and a { start, end } span -> the span of the same length ending the day before it starts.
+ * @param {string|Object} range - Range id or { start, end }
+ * @returns {string|null} Range id, or null if there's no previous period (today, last_*, all_time)
+ */
+function previousTimeRange(range, options = {}) {
+    const parsed = parseTimeRange(range, options);
+    const [year, month] = (parsed.start || '').split('-').map(Number);
+    const id = (prefix, y, m) => `${prefix}_${y}_${String(m).padStart(2, '0')}`;
+    switch (parsed.kind) {
+        case 'preset':
+            return parsed.id.startsWith('this_') ? parsed.id.replace('this_', 'last_') : null;
+        case 'day':
+            return `day_${formatDay(parseDay(parsed.start) - 1).replace(/-/g, '_')}`;
+        case 'month':
+            return month === 1 ? id('month', year - 1, 12) : id('month', year, month - 1);
+        case 'quarter': {
+            const quarter = (month - 1) / 3 + 1;
+            return quarter === 1 ? `quarter_${year - 1}_Q4` : `quarter_${year}_Q${quarter - 1}`;
+        }
+        case 'year':
+            return `year_${year - 1}`;
+        case 'fiscal_year':
+            return `fiscal_year_${Number(parsed.id.slice('fiscal_year_'.length)) - 1}`;
+        default: {
+            const start = parseDay(parsed.start);
+            const length = parseDay(parsed.end) - start + 1;
+            return `range_${formatDay(start - length)}_${formatDay(start - 1)}`;
+        }
+    }
+}
+
+/**
+ * Dates a range covers: 'Jul 1, 2025 - Sep 30, 2025', 'Mar 14, 2025' for one day
+ * @param {string|Object} range - Range id or { start, end }
+ * @param {Object} options - parseTimeRange options
+ * @returns {string|null} null for all_time
+ */
+function formatTimeRangeDates(range, options = {}) {
+    const parsed = parseTimeRange(range, options);
+    if (!parsed.start) {
+        return null;
+    }
+    return parsed.start === parsed.end
+        ? formatLabelDay(parsed.start)
+        : `${formatLabelDay(parsed.start)} - ${formatLabelDay(parsed.end)}`;
+}
+
+/**
+ * Human-readable label: 'March 2025', 'Q3 2024', 'FY2024', 'Mar 1, 2025 - Apr 30, 2025'
+ * Presets are returned as their id - callers label them.
+ * @param {string|Object} range - Range id or { start, end }
+ * @returns {string}
+ */
+function formatTimeRangeLabel(range, options = {}) {
+    const parsed = parseTimeRange(range, options);
+    const [year, month] = (parsed.start || '').split('-').map(Number);
+    switch (parsed.kind) {
+        case 'preset':
+            return parsed.id;
+        case 'month':
+            return `${MONTH_NAMES[month - 1]} ${year}`;
+        case 'quarter':
+            return `Q${(month - 1) / 3 + 1} ${year}`;
+        case 'year':
+            return String(year);
+        case 'fiscal_year':
+            return `FY${parsed.id.slice('fiscal_year_'.length)}`;
+        case 'day':
+            return formatLabelDay(parsed.start);
+        default:
+            return `${formatLabelDay(parsed.start)} - ${formatLabelDay(parsed.end)}`;
+    }
+}
+
+/**
+ * Work out how to serve a range from a snapshot's buckets
+ * A published range (including every preset) is used as-is; otherwise the span is covered left to
+ * right with the coarsest bucket (year, quarter, month, day) that starts at the next uncovered day
+ * and ends inside the span. With options.publishedAt, published presets count as buckets too, dated
+ * as of that moment and ending no later than that day (a snapshot's this_month is the month so far),
+ * so e.g. last_month serves month_2025_10 and this_month the current month to date.
+ * @param {string|Object} range - Range id or { start, end }
+ * @param {Array<string>} available - Range keys in the snapshot's `metrics`
+ * @param {Object} options - parseTimeRange options, plus:
+ * @param {Date|number|string} options.publishedAt - When the snapshot was made (its timestamp)
+ * @returns {Object} { id, start, end, buckets } - buckets in date order
+ * @throws {TimeRangeNotFoundError} When part of the span has no bucket (details: missing { start, end })
+ */
+function planRangeComposition(range, available, options = {}) {
+    const errors = typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+    const parsed = parseTimeRange(range, options);
+    if (available.includes(parsed.id)) {
+        return { id: parsed.id, start: parsed.start, end: parsed.end, buckets: [parsed.id] };
+    }
+    if (parsed.kind === 'preset') {
+        throw new errors.TimeRangeNotFoundError(
+            `Time range '${parsed.id}' not found in cache. Available ranges: ${available.join(', ')}`,
+            { timeRange: parsed.id, available }
+        );
+    }
+
+    // Presets are dated by the snapshot, not by today (all_time has no dates to match)
+    const publishedAt = options.publishedAt ? new Date(options.publishedAt).getTime() : NaN;
+    const publishedDay = isNaN(publishedAt) ? null : todayIn(normalizeCalendar(options).timeZone, publishedAt);
+
+    // Buckets by first day, coarsest first (a fiscal year or custom range is never a bucket)
+    const bucketsByStart = new Map();
+    for (const key of available) {
+        const preset = PRESET_TIME_RANGES.includes(key);
+        if (preset && publishedDay === null) {
+            continue;
+        }
+        let bucket;
+        try {
+            bucket = parseTimeRange(key, preset ? { ...options, now: publishedAt } : options);
+        } catch (e) {
+            continue;
+        }
+        if (!bucket.start || (!preset && !['day', 'month', 'quarter', 'year'].includes(bucket.kind))) {
+            continue;
+        }
+        const bucketEnd = preset ? Math.min(parseDay(bucket.end), publishedDay) : parseDay(bucket.end);
+        const start = parseDay(bucket.start);
+        const candidates = bucketsByStart.get(start) || [];
+        candidates.push({ key, end: bucketEnd });
+        bucketsByStart.set(start, candidates.sort((a, b) => b.end - a.end));
+    }
+
+    const end = parseDay(parsed.end);
+    const buckets = [];
+    for (let day = parseDay(parsed.start); day <= end;) {
+        const bucket = (bucketsByStart.get(day) || []).find(candidate => candidate.end <= end);
+        if (!bucket) {
+            const missing = { start: formatDay(day), end: parsed.end };
+            throw new errors.TimeRangeNotFoundError(
+                `Time range '${parsed.id}' can't be built from the cache: no published period starts on ${missing.start}`,
+                { timeRange: parsed.id, available, missing }
+            );
+        }
+        buckets.push(bucket.key);
+        day = bucket.end + 1;
+    }
+    return { id: parsed.id, start: parsed.start, end: parsed.end, buckets };
+}
+
+/**
+ * Work out how to serve a range, applying the fallback policy when it can't be found or composed
+ * @param {string|Object} range - Range id or { start, end }
+ * @param {Array<string>} available - Range keys in the snapshot's `metrics`
+ * @param {Object} options - parseTimeRange options, plus:
+ * @param {string|Object} options.fallbackPolicy - 'strict', 'broaden' (default) or a custom map (see the module comment)
+ * @returns {Object} { requested_range, served_range, is_fallback, plan } - plan is for the served range
+ * @throws {TimeRangeNotFoundError} When neither the range nor any fallback can be served
+ */
+function resolveTimeRange(range, available, options = {}) {
+    const requested = parseTimeRange(range, options).id;
+    const fallbacks = rangeFallbacks(requested, options.fallbackPolicy);
+    try {
+        const plan = planRangeComposition(range, available, options);
+        return { requested_range: requested, served_range: plan.id, is_fallback: false, plan };
+    } catch (error) {
+        if (error.code !== 'TIME_RANGE_NOT_FOUND') {
+            throw error;
+        }
+        for (const fallback of fallbacks) {
+            let plan;
+            try {
+                plan = planRangeComposition(fallback, available, options);
+            } catch (e) {
+                continue;
+            }
+            console.warn(`⚠️ Time range '${requested}' not found, serving '${plan.id}' instead`);
+            return { requested_range: requested, served_range: plan.id, is_fallback: true, plan };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Ranges to try instead of rangeId under a fallback policy
+ * @private
+ */
+function rangeFallbacks(rangeId, policy = 'broaden') {
+    if (policy === 'strict') {
+        return [];
+    }
+    if (policy === 'broaden') {
+        return DEFAULT_RANGE_FALLBACKS[rangeId] || [];
+    }
+    if (policy && typeof policy === 'object' && !Array.isArray(policy)) {
+        const fallbacks = policy[rangeId] || [];
+        return Array.isArray(fallbacks) ? fallbacks : [fallbacks];
+    }
+    throw new Error(`Invalid fallback policy: ${JSON.stringify(policy)}. Must be 'strict', 'broaden' or a map of range id to fallback range ids`);
+}
+
+/**
+ * Combine bucket payloads ({ date_range, timestamp, metrics, ... }) into one for the whole span
+ * Numbers are summed and nested objects merged key by key. Lists of accounts, donors, ... are merged
+ * entry by entry (matched on LIST_ITEM_KEYS) and sorted by amount; top_* lists are cut to the longest
+ * bucket's length so a top-N list stays top-N (an entry missing from a bucket's top list counts only
+ * the buckets it appears in). Text and flags are kept when every bucket agrees. Margins, ratios,
+ * averages, de-duplicated counts (unique_*, donor/member counts) and anything else that can't be combined from per-bucket values
+ * are left out; their paths are listed in `omitted` (list entries as 'path[].field').
+ * @param {Array<Object>} parts - Bucket payloads in date order
+ * @param {Object} plan - Result of planRangeComposition()
+ * @returns {Object} Payload with date_range { start, end }, the latest timestamp, composed_from and omitted
+ */
+function combineRangeData(parts, plan) {
+    if (parts.length === 1) {
+        // One published range covering another (e.g. month_2025_10 served by last_month) keeps its own dates
+        return plan.buckets[0] === plan.id ? parts[0] : { ...parts[0], composed_from: plan.buckets, omitted: [] };
+    }
+    // Each bucket's own span and timestamp are replaced, not combined
+    const { value, omitted } = combineRangeValues(parts.map(part => {
+        const { date_range, timestamp, ...values } = part || {};
+        return values;
+    }));
+    const timestamps = parts.map(part => part?.timestamp).filter(Boolean).sort();
+    return {
+        ...value,
+        date_range: { start: plan.start, end: plan.end },
+        timestamp: timestamps[timestamps.length - 1] || null,
+        composed_from: plan.buckets,
+        omitted
+    };
+}
+
+/**
+ * Combine per-bucket values that aren't range payloads (e.g. source_targets), with the same rules
+ * @param {Array<Object>} values - Per-bucket values in date order (missing buckets may be undefined)
+ * @returns {Object} { value, omitted } - value is undefined if nothing could be combined
+ */
+function combineRangeValues(values) {
+    const omitted = [];
+    return { value: mergeValues(values, [], omitted), omitted };
+}
+
+/**
+ * Merge the same path across buckets (see combineRangeData)
+ * @private
+ */
+function mergeValues(values, path, omitted) {
+    const present = values.filter(value => value !== undefined && value !== null);
+    const key = String(path[path.length - 1] || '').replace(/\[\]$/, '');
+    const omit = () => {
+        const omittedPath = path.join('.').replace(/\.\[\]/g, '[]');
+        if (!omitted.includes(omittedPath)) {
+            omitted.push(omittedPath);
+        }
+        return undefined;
+    };
+    if (present.length === 0) {
+        return undefined;
+    }
+    if (present.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        return NON_ADDITIVE_KEY.test(key) ? omit() : present.reduce((sum, value) => sum + value, 0);
+    }
+    if (present.every(value => Array.isArray(value))) {
+        return mergeLists(present, path, omitted) ?? omit();
+    }
+    if (present.every(value => typeof value === 'object' && !Array.isArray(value))) {
+        const merged = {};
+        const keys = new Set(present.flatMap(value => Object.keys(value)));
+        for (const child of keys) {
+            const value = mergeValues(present.map(part => part[child]), [...path, child], omitted);
+            if (value !== undefined) {
+                merged[child] = value;
+            }
+        }
+        return merged;
+    }
+    // Text and flags: kept when every bucket has the same value
+    if (present.every(value => typeof value !== 'object' && value === present[0])) {
+        return present[0];
+    }
+    return omit();
+}
+
+/**
+ * Merge per-bucket lists of objects entry by entry (see combineRangeData)
+ * @private
+ * @returns {Array|undefined} undefined if the entries have no common LIST_ITEM_KEYS field
+ */
+function mergeLists(lists, path, omitted) {
+    const items = lists.flat();
+    const isEntry = item => item && typeof item === 'object' && !Array.isArray(item);
+    const idKey = items.every(isEntry)
+        ? LIST_ITEM_KEYS.find(field => items.every(item => item[field] !== undefined && item[field] !== null))
+        : undefined;
+    if (!idKey) {
+        return undefined;
+    }
+
+    const entries = new Map();
+    for (const item of items) {
+        const id = String(item[idKey]);
+        entries.set(id, [...(entries.get(id) || []), item]);
+    }
+    // The matching field identifies the entry - a numeric id is kept, not summed
+    const merged = [...entries.values()].map(group => ({
+        ...mergeValues(group, [...path.slice(0, -1), `${path[path.length - 1] || ''}[]`], omitted),
+        [idKey]: group[0][idKey]
+    }));
+
+    const sortKey = LIST_SORT_KEYS.find(field => merged.every(item => typeof item[field] === 'number'));
+    if (sortKey) {
+        merged.sort((a, b) => b[sortKey] - a[sortKey]);
+    }
+    return /^top_/.test(path[path.length - 1] || '') ? merged.slice(0, Math.max(...lists.map(list => list.length))) : merged;
+}
+
+/**
+ * { id, kind, start, end } for a span of whole months from a calendar month
+ * @private
+ */
+function spanRange(id, kind, year, month, months) {
+    return {
+        id,
+        kind,
+        start: formatDay(dayNumber(year, month, 1)),
+        end: formatDay(dayNumber(year, month + months, 1) - 1)
+    };
+}
+
+/**
+ * { id, kind: 'preset', start, end } for a preset on the tenant calendar
+ * @private
+ */
+function presetRange(id, options) {
+    if (id === 'all_time') {
+        return { id, kind: 'preset', start: null, end: null };
+    }
+    const calendar = normalizeCalendar(options);
+    const today = todayIn(calendar.timeZone, options.now);
+    const [year, month] = formatDay(today).split('-').map(Number);
+    const previous = id.startsWith('last_');
+    // Months since the start of the fiscal year / quarter today is in
+    const intoYear = (month - calendar.fiscalYearStartMonth + 12) % 12;
+    const months = (back, count) => spanRange(id, 'preset', year, month - back, count);
+
+    switch (id.replace(/^(this|last)_/, '')) {
+        case 'today': {
+            const day = formatDay(today);
+            return { id, kind: 'preset', start: day, end: day };
+        }
+        case 'week': {
+            const weekday = ((today + 4) % 7 + 7) % 7; // Day 0 (1970-01-01) was a Thursday
+            const start = today - (weekday - calendar.weekStartDay + 7) % 7 - (previous ? 7 : 0);
+            return { id, kind: 'preset', start: formatDay(start), end: formatDay(start + 6) };
+        }
+        case 'month':
+            return months(previous ? 1 : 0, 1);
+        case 'quarter':
+            return months(intoYear % 3 + (previous ? 3 : 0), 3);
+        default:
+            return months(intoYear + (previous ? 12 : 0), 12);
+    }
+}
+
+/**
+ * Today's day number in a time zone
+ * @private
+ */
+function todayIn(timeZone, now = Date.now()) {
+    const parts = {};
+    for (const part of zoneFormatter(timeZone).formatToParts(new Date(now))) {
+        parts[part.type] = part.value;
+    }
+    return dayNumber(+parts.year, +parts.month, +parts.day);
+}
+
+/**
+ * Shared year/month/day formatter for a time zone (null: the viewer's zone)
+ * @private
+ */
+function zoneFormatter(timeZone) {
+    const key = timeZone || '';
+    if (!ZONE_FORMATTERS.has(key)) {
+        try {
+            ZONE_FORMATTERS.set(key, new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone || undefined,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric'
+            }));
+        } catch (e) {
+            throw new Error(`Invalid timeZone: ${JSON.stringify(timeZone)} (must be an IANA zone such as 'America/Chicago')`);
+        }
+    }
+    return ZONE_FORMATTERS.get(key);
+}
+
+/**
+ * @private
+ */
+function customRange(start, end) {
+    if (typeof start !== 'string' || typeof end !== 'string'
+        || formatDay(parseDay(start)) !== start || formatDay(parseDay(end)) !== end) {
+        throw new Error(`Invalid time range: start and end must be YYYY-MM-DD dates (got ${JSON.stringify({ start, end })})`);
+    }
+    if (start > end) {
+        throw new Error(`Invalid time range: start ${start} is after end ${end}`);
+    }
+    return { id: `range_${start}_${end}`, kind: 'custom', start, end };
+}
+
+/**
+ * Days since the epoch (UTC arithmetic, so no timezone or DST shifts)
+ * @private
+ */
+function dayNumber(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function parseDay(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+    return match ? dayNumber(+match[1], +match[2], +match[3]) : NaN;
+}
+
+function formatDay(day) {
+    return Number.isFinite(day) ? new Date(day * DAY_MS).toISOString().slice(0, 10) : '';
+}
+
+function formatLabelDay(text) {
+    const [year, month, day] = text.split('-').map(Number);
+    return `${MONTH_NAMES[month - 1].slice(0, 3)} ${day}, ${year}`;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRESET_TIME_RANGES,
+        DEFAULT_RANGE_FALLBACKS,
+        DEFAULT_CALENDAR,
+        parseTimeRange,
+        timeRangeId,
+        timeRangeQuery,
+        normalizeCalendar,
+        checkDateRange,
+        previousTimeRange,
+        formatTimeRangeLabel,
+        formatTimeRangeDates,
+        planRangeComposition,
+        resolveTimeRange,
+        combineRangeData,
+        combineRangeValues
+    };
+}
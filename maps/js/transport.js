@@ -0,0 +1,181 @@
+/**
+ * HTTP Transport - shared request layer for CremaClient and the snapshot/manifest loaders
+ *
+ * Wraps fetch with:
+ *   - Per-call cancellation (options.signal) combined with a timeout
+ *   - Retries with exponential backoff for network errors, timeouts and 5xx responses
+ *   - Consistent errors (errors.js): failures reject with a NetworkError (status, url, timedOut),
+ *     rejected credentials with an AuthError; cancelled calls reject with the caller's AbortError
+ */
+
+class HttpTransport {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Per-attempt timeout in ms (default: 15000, 0 = none)
+     * @param {number} options.retries - Retries after the first attempt (default: 2)
+     * @param {number} options.retryDelay - Base backoff delay in ms, doubled per retry (default: 300)
+     * @param {number} options.maxRetryDelay - Backoff cap in ms (default: 5000)
+     * @param {Function} options.fetch - fetch implementation (default: global fetch)
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout ?? 15000;
+        this.retries = options.retries ?? 2;
+        this.retryDelay = options.retryDelay ?? 300;
+        this.maxRetryDelay = options.maxRetryDelay ?? 5000;
+        this._fetch = options.fetch || null;
+    }
+
+    /**
+     * Send a request, retrying transient failures
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options plus:
+     * @param {AbortSignal} options.signal - Cancels the request (and any pending retry)
+     * @param {number} options.timeout - Override the transport timeout for this call
+     * @param {number} options.retries - Override the transport retry count for this call
+     * @param {Array<number>} options.allowStatus - Non-2xx statuses returned instead of thrown (e.g. [304])
+     * @returns {Promise<Response>}
+     */
+    async request(url, options = {}) {
+        const { signal, timeout = this.timeout, retries = this.retries, allowStatus = [], ...fetchOptions } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                const response = await this._attempt(url, fetchOptions, signal, timeout);
+                if (response.ok || allowStatus.includes(response.status)) {
+                    return response;
+                }
+                const errors = HttpTransport._errors();
+                const ErrorClass = response.status === 401 || response.status === 403 ? errors.AuthError : errors.NetworkError;
+                error = new ErrorClass(
+                    `Request failed: ${response.status} ${response.statusText || ''}`.trim() + ` (${url})`,
+                    { status: response.status, url }
+                );
+            } catch (e) {
+                if (HttpTransport.isAbortError(e)) {
+                    throw e;
+                }
+                error = e;
+            }
+
+            // Retry only transient failures: network errors, timeouts and server errors
+            if (attempt >= retries || !HttpTransport._isRetryable(error)) {
+                throw error;
+            }
+            const delay = this._backoff(attempt);
+            console.warn(`⚠️ ${error.message} - retrying in ${delay}ms (${attempt + 1}/${retries})`);
+            await HttpTransport._sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Send a request and parse the JSON response
+     * @param {string} url - Request URL
+     * @param {Object} options - Same as request()
+     * @returns {Promise<Object>}
+     */
+    async json(url, options = {}) {
+        const response = await this.request(url, options);
+        return await response.json();
+    }
+
+    /**
+     * Check whether an error is a cancellation (caller abort) rather than a failure
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * One fetch attempt bounded by the timeout and the caller's signal
+     * @private
+     */
+    async _attempt(url, fetchOptions, signal, timeout) {
+        if (signal?.aborted) {
+            throw HttpTransport._abortReason(signal);
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timeoutId = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
+        try {
+            const fetchImpl = this._fetch || fetch;
+            return await fetchImpl(url, { ...fetchOptions, signal: controller.signal });
+        } catch (e) {
+            if (signal?.aborted) {
+                throw HttpTransport._abortReason(signal);
+            }
+            const { NetworkError } = HttpTransport._errors();
+            if (timedOut) {
+                throw new NetworkError(`Request timed out after ${timeout}ms (${url})`, { url, timedOut: true, cause: e });
+            }
+            throw new NetworkError(`Network error: ${e.message} (${url})`, { url, cause: e });
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter
+     * @private
+     */
+    _backoff(attempt) {
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    static _isRetryable(error) {
+        return error.code === 'NETWORK_ERROR' && (error.status === 0 || error.status >= 500);
+    }
+
+    static _errors() {
+        return typeof CremaErrors === 'object' ? CremaErrors : require('./errors.js');
+    }
+
+    static _abortReason(signal) {
+        if (signal.reason instanceof Error && signal.reason.name === 'AbortError') {
+            return signal.reason;
+        }
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Wait before a retry (rejects early if the signal aborts)
+     * @private
+     */
+    static _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(HttpTransport._abortReason(signal));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(HttpTransport._abortReason(signal));
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// Export for use in apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HttpTransport;
+}
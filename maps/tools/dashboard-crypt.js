@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Dashboard Crypt - encrypt, decrypt and re-key dashboard_data.json locally
+ *
+ * Usage:
+ *   node tools/dashboard-crypt.js encrypt <input.json> <output.json> [options]
+ *   node tools/dashboard-crypt.js decrypt <input.json> <output.json>
+ *   node tools/dashboard-crypt.js rekey <input.json> <output.json> [options]
+ *
+ * Options (encrypt, rekey):
+ *   --kdf pbkdf2_sha256|pbkdf2_sha512|scrypt   Key derivation (rekey keeps the current one by default)
+ *   --iterations N                             PBKDF2 iterations
+ *   --scrypt-n N --scrypt-r R --scrypt-p P     scrypt parameters
+ *   --envelope-version 2                       Bind nodes to their paths and the snapshot metadata
+ *
+ * Passwords come from DASHBOARD_PASSWORD (and DASHBOARD_NEW_PASSWORD for rekey), or are
+ * asked for when run in a terminal. Decrypted output contains the plaintext data - don't
+ * commit it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Node < 19 has Web Crypto only under require('crypto')
+if (typeof globalThis.crypto === 'undefined') {
+    globalThis.crypto = require('crypto').webcrypto;
+}
+
+const { decryptSensitiveFields } = require('../js/decrypt.js');
+const { encryptSensitiveFields } = require('../js/encrypt.js');
+
+const USAGE = `Usage:
+  node tools/dashboard-crypt.js encrypt <input.json> <output.json> [options]
+  node tools/dashboard-crypt.js decrypt <input.json> <output.json>
+  node tools/dashboard-crypt.js rekey <input.json> <output.json> [options]
+
+Options (encrypt, rekey):
+  --kdf pbkdf2_sha256|pbkdf2_sha512|scrypt   Key derivation (rekey keeps the current one by default)
+  --iterations N                             PBKDF2 iterations
+  --scrypt-n N --scrypt-r R --scrypt-p P     scrypt parameters
+  --envelope-version 2                       Bind nodes to their paths and the snapshot metadata
+
+Environment:
+  DASHBOARD_PASSWORD       Password to encrypt with (encrypt) or decrypt with (decrypt, rekey)
+  DASHBOARD_NEW_PASSWORD   Password to re-encrypt with (rekey)`;
+
+/**
+ * Parse positional arguments and --flags
+ * @private
+ */
+function parseArgs(argv) {
+    const args = { positional: [], kdf: undefined, iterations: undefined, scrypt: {}, version: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--kdf') {
+            args.kdf = argv[++i];
+        } else if (arg === '--iterations') {
+            args.iterations = parseInt(argv[++i], 10);
+        } else if (['--scrypt-n', '--scrypt-r', '--scrypt-p'].includes(arg)) {
+            args.scrypt[arg.slice(-1)] = parseInt(argv[++i], 10);
+        } else if (arg === '--envelope-version') {
+            args.version = parseInt(argv[++i], 10);
+        } else if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * Read a password from the environment, or ask for it in a terminal
+ * @private
+ */
+async function getPassword(envName, prompt) {
+    if (process.env[envName]) {
+        return process.env[envName];
+    }
+    if (!process.stdin.isTTY) {
+        throw new Error(`${envName} is not set`);
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try {
+        return await new Promise(resolve => rl.question(prompt, resolve));
+    } finally {
+        rl.close();
+    }
+}
+
+/**
+ * Plaintext data without the encryption envelope
+ * @private
+ */
+function stripEnvelope(data) {
+    const { _encryption, ...plain } = data;
+    return plain;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, input, output] = args.positional;
+    if (args.help || !['encrypt', 'decrypt', 'rekey'].includes(command) || !input || !output) {
+        console.error(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(input, 'utf8'));
+    const encryptOptions = {
+        keyDerivation: args.kdf,
+        iterations: args.iterations,
+        kdfParams: args.scrypt,
+        version: args.version
+    };
+    let result;
+
+    if (command === 'encrypt') {
+        const password = await getPassword('DASHBOARD_PASSWORD', 'Password: ');
+        result = await encryptSensitiveFields(data, password, encryptOptions);
+    } else {
+        if (!data._encryption) {
+            throw new Error(`${input} is not encrypted`);
+        }
+        const password = await getPassword('DASHBOARD_PASSWORD', 'Current password: ');
+        const plain = stripEnvelope(await decryptSensitiveFields(data, password));
+        if (command === 'decrypt') {
+            result = plain;
+        } else {
+            const newPassword = await getPassword('DASHBOARD_NEW_PASSWORD', 'New password: ');
+            // Keep the current envelope settings unless overridden (KDF settings only carry over
+            // when the KDF stays the same)
+            const current = data._encryption;
+            const keyDerivation = args.kdf || current.key_derivation || 'pbkdf2_sha256';
+            const sameKdf = keyDerivation === (current.key_derivation || 'pbkdf2_sha256');
+            result = await encryptSensitiveFields(plain, newPassword, {
+                keyDerivation,
+                iterations: args.iterations || (sameKdf ? current.iterations : undefined),
+                kdfParams: { ...(sameKdf ? current.kdf_params : {}), ...args.scrypt },
+                version: args.version || current.version
+            });
+        }
+    }
+
+    fs.writeFileSync(output, JSON.stringify(result, null, 2) + '\n');
+    console.log(`✅ ${command}: ${path.resolve(input)} -> ${path.resolve(output)}`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
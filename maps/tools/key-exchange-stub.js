@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Key Exchange Stub - local stand-in for the endpoint used by the 'tokenExchange' key provider
+ *
+ * Usage:
+ *   DASHBOARD_PASSWORD=... DASHBOARD_API_TOKEN=... node tools/key-exchange-stub.js [--port 8790]
+ *
+ * POST /  Authorization: Bearer <DASHBOARD_API_TOKEN>  ->  200 { key: DASHBOARD_PASSWORD }
+ * Any other token gets a 401. Point the dashboard at it with
+ *   <meta name="kandaq-key-endpoint" content="http://localhost:8790/">
+ * and store the token as `api_token` in localStorage. For local testing only - it hands the
+ * key to anyone holding the token.
+ */
+
+const http = require('http');
+
+const USAGE = `Usage:
+  node tools/key-exchange-stub.js [--port 8790]
+
+Environment:
+  DASHBOARD_PASSWORD    Key returned to authorized requests
+  DASHBOARD_API_TOKEN   Bearer token accepted by the stub`;
+
+/**
+ * Send a JSON response (CORS-enabled, the dashboard is served from another port)
+ * @private
+ */
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    if (argv.includes('-h') || argv.includes('--help')) {
+        console.error(USAGE);
+        return;
+    }
+    const portIndex = argv.indexOf('--port');
+    const port = portIndex >= 0 ? parseInt(argv[portIndex + 1], 10) : 8790;
+    const key = process.env.DASHBOARD_PASSWORD;
+    const token = process.env.DASHBOARD_API_TOKEN;
+    if (!key || !token) {
+        console.error(`❌ DASHBOARD_PASSWORD and DASHBOARD_API_TOKEN must be set\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            send(res, 204, null);
+            return;
+        }
+        if (req.method !== 'POST') {
+            send(res, 405, { error: 'Use POST' });
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            let request = {};
+            try {
+                request = body ? JSON.parse(body) : {};
+            } catch (e) {
+                send(res, 400, { error: 'Invalid JSON body' });
+                return;
+            }
+            if (req.headers.authorization !== `Bearer ${token}`) {
+                console.log(`🔒 Rejected key request for ${request.tenant_id ?? 'unknown tenant'}`);
+                send(res, 401, { error: 'Invalid API token' });
+                return;
+            }
+            console.log(`🔑 Key issued for ${request.tenant_id ?? 'unknown tenant'} (key_id: ${request.key_id ?? 'none'})`);
+            send(res, 200, { key });
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`✅ Key exchange stub listening on http://localhost:${port}/`);
+    });
+}
+
+main();